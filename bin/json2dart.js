@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+// json2dart - Converts a directory of .json files into Dart models without opening the browser
+import fs from 'node:fs';
+import path from 'node:path';
+import { JsonSamples, ModelConverter, ProjectConfig } from '../script/index.js';
+
+const usage = `Usage: json2dart [input-dir] [options]
+
+Converts every .json file under the input directory into a Dart model named after the file
+(user_profile.json -> UserProfile in user_profile.dart). Settings come from ${ProjectConfig.fileName}
+in the current directory, see docs/project-config.md; the options below take precedence.
+
+Options:
+  -o, --out <dir>       Directory the Dart files are written to (default: paths.output)
+  -t, --tests <dir>     Directory round-trip tests are written to (default: paths.tests)
+  -c, --config <file>   Project config to read instead of ./${ProjectConfig.fileName}
+  --schema              Read the input files as JSON Schemas instead of samples
+  --check               Write nothing; exit with 1 when a generated file is missing or out of date
+  -h, --help            Show this help`;
+
+function parseArgs(argv) {
+    const args = { out: null, tests: null, config: null, schema: false, check: false, help: false, input: null };
+    const valueFlags = { '-o': 'out', '--out': 'out', '-t': 'tests', '--tests': 'tests', '-c': 'config', '--config': 'config' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (valueFlags[arg]) {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            args[valueFlags[arg]] = argv[++i];
+        } else if (arg === '--schema') {
+            args.schema = true;
+        } else if (arg === '--check') {
+            args.check = true;
+        } else if (arg === '-h' || arg === '--help') {
+            args.help = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else if (args.input) {
+            throw new Error(`Unexpected argument ${arg}`);
+        } else {
+            args.input = arg;
+        }
+    }
+
+    return args;
+}
+
+function readConfig(args) {
+    // Without --config the project's own config is optional
+    const file = args.config || ProjectConfig.fileName;
+    if (!args.config && !fs.existsSync(file)) {
+        return ProjectConfig.createDefault();
+    }
+    return ProjectConfig.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function findJsonFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(entry => {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) return findJsonFiles(fullPath);
+            return entry.isFile() && entry.name.endsWith('.json') ? [fullPath] : [];
+        });
+}
+
+function main(argv) {
+    const args = parseArgs(argv);
+    if (args.help) {
+        console.log(usage);
+        return 0;
+    }
+
+    // Paths in the config are relative to the config file
+    const config = readConfig(args);
+    const configDir = args.config ? path.dirname(args.config) : '.';
+    args.input = args.input || (config.paths.input && path.join(configDir, config.paths.input));
+    args.out = args.out || path.join(configDir, config.paths.output);
+    args.tests = args.tests || path.join(configDir, config.paths.tests);
+    if (!args.input) {
+        console.log(usage);
+        return 1;
+    }
+
+    const settings = ProjectConfig.toSettings(config);
+    if (args.schema) {
+        settings.inputMode = 'schema';
+    }
+    const converter = new ModelConverter();
+    const inputFiles = findJsonFiles(args.input);
+    const stale = [];
+    let written = 0;
+    let failed = 0;
+
+    inputFiles.forEach(inputFile => {
+        // Sub-directories of the input are mirrored in the output
+        const relativeDir = path.dirname(path.relative(args.input, inputFile));
+        const className = converter.dartGenerator.toClassName(path.basename(inputFile, '.json'));
+        const testImportDir = path.relative(path.join(args.tests, relativeDir), path.join(args.out, relativeDir))
+            .split(path.sep)
+            .join('/');
+
+        try {
+            const documents = JsonSamples.parse(fs.readFileSync(inputFile, 'utf8'));
+            const result = converter.convert(className, documents, settings, testImportDir);
+
+            result.files.forEach(file => {
+                const target = file.fileName.startsWith('test/')
+                    ? path.join(args.tests, relativeDir, file.fileName.slice('test/'.length))
+                    : path.join(args.out, relativeDir, file.fileName);
+
+                if (args.check) {
+                    if (!fs.existsSync(target) || fs.readFileSync(target, 'utf8') !== file.content) {
+                        stale.push(target);
+                    }
+                    return;
+                }
+
+                fs.mkdirSync(path.dirname(target), { recursive: true });
+                fs.writeFileSync(target, file.content);
+                written++;
+            });
+        } catch (error) {
+            console.error(`${inputFile}: ${error.message}`);
+            failed++;
+        }
+    });
+
+    if (args.check) {
+        stale.forEach(file => console.error(`Out of date: ${file}`));
+        console.log(`Checked ${inputFiles.length} model(s): ${stale.length} file(s) out of date`);
+        return stale.length > 0 || failed > 0 ? 1 : 0;
+    }
+
+    console.log(`Wrote ${written} file(s) for ${inputFiles.length - failed} of ${inputFiles.length} model(s)`);
+    return failed > 0 ? 1 : 0;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
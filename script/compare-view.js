@@ -0,0 +1,77 @@
+// Compare View - Lists the field changes between two payloads, breaking ones first, above the diff of the generated code
+class CompareView {
+    constructor(container) {
+        this.container = container;
+        this.changeLabels = {
+            added: 'Added',
+            removed: 'Removed',
+            type: 'Type changed',
+            nullability: 'Nullability'
+        };
+    }
+
+    render(result) {
+        this.container.innerHTML = '';
+
+        const summary = document.createElement('div');
+        summary.className = `compare-summary${result.breaking.length > 0 ? ' breaking' : ''}`;
+        summary.textContent = result.changes.length === 0
+            ? 'No field changes'
+            : `${result.changes.length} field change(s), ${result.breaking.length} breaking`;
+        this.container.appendChild(summary);
+
+        if (result.changes.length > 0) {
+            this.container.appendChild(this.renderChanges(result.changes));
+        }
+        this.container.appendChild(this.renderCodeDiff(result.unifiedDiff));
+        this.container.classList.add('active');
+    }
+
+    renderChanges(changes) {
+        const table = document.createElement('table');
+        table.className = 'field-table compare-table';
+        table.innerHTML = '<thead><tr><th>Field</th><th>Change</th><th>Before</th><th>After</th><th></th></tr></thead>';
+
+        const body = document.createElement('tbody');
+        const sorted = [...changes].sort((a, b) => Number(b.breaking) - Number(a.breaking));
+        sorted.forEach(change => {
+            const tr = document.createElement('tr');
+            if (change.breaking) tr.className = 'breaking';
+            [change.path, this.changeLabels[change.change], change.before || '–', change.after || '–', change.breaking ? 'Breaking' : '']
+                .forEach(text => {
+                    const td = document.createElement('td');
+                    td.textContent = text;
+                    tr.appendChild(td);
+                });
+            body.appendChild(tr);
+        });
+        table.appendChild(body);
+        return table;
+    }
+
+    renderCodeDiff(unifiedDiff) {
+        const pre = document.createElement('pre');
+        pre.className = 'code-diff';
+        if (!unifiedDiff) {
+            pre.textContent = 'The generated code is identical';
+            return pre;
+        }
+
+        // Line classes follow the unified diff prefixes
+        const classes = { '@': 'diff-hunk', '+': 'diff-added', '-': 'diff-removed' };
+        unifiedDiff.split('\n').forEach(line => {
+            const span = document.createElement('span');
+            span.className = classes[line.charAt(0)] || 'diff-same';
+            span.textContent = `${line}\n`;
+            pre.appendChild(span);
+        });
+        return pre;
+    }
+
+    clear() {
+        this.container.innerHTML = '';
+        this.container.classList.remove('active');
+    }
+}
+
+export { CompareView };
@@ -0,0 +1,344 @@
+// Dart Class Reader - Parses pasted Dart model classes and enums back into the property model the generators use
+import { KeyMapper } from './key-mapper.js';
+
+class DartClassReader {
+    constructor() {
+        this.keyMapper = new KeyMapper();
+        // Declarations that never hold a JSON value
+        this.skippedModifiers = ['static', 'const', 'external', 'abstract'];
+    }
+
+    read(source) {
+        const code = this.stripComments(source);
+        const classes = new Map();
+        const enums = new Map();
+
+        this.findBlocks(code, /\benum\s+(\w+)[^{;]*\{/g).forEach(block => {
+            enums.set(block.name, { name: block.name, values: this.readEnumValues(block.body) });
+        });
+
+        const classPattern = /((?:@\w+(?:\.\w+)?(?:\s*\([^)]*\))?\s*)*)\b(?:(?:abstract|sealed|base|final|interface)\s+)*class\s+(\w+)[^{;]*\{/g;
+        this.findBlocks(code, classPattern, 2).forEach(block => {
+            // _$User and _User are the generated halves of json_serializable and freezed classes
+            if (block.name.startsWith('_')) return;
+            classes.set(block.name, {
+                name: block.name,
+                properties: this.readProperties(block.body, this.getFieldRename(block.annotations))
+            });
+        });
+
+        if (classes.size === 0) {
+            throw new Error('No Dart class found in the pasted code');
+        }
+        return { classes, enums };
+    }
+
+    stripComments(source) {
+        // Comment markers inside string literals are kept
+        let result = '';
+        let quote = null;
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quote) {
+                result += char;
+                if (char === '\\') {
+                    result += source[++i] || '';
+                } else if (char === quote) {
+                    quote = null;
+                }
+            } else if (char === '/' && source[i + 1] === '/') {
+                while (i < source.length && source[i] !== '\n') i++;
+                result += '\n';
+            } else if (char === '/' && source[i + 1] === '*') {
+                const end = source.indexOf('*/', i + 2);
+                i = end === -1 ? source.length : end + 1;
+                result += ' ';
+            } else {
+                if (char === '"' || char === "'") quote = char;
+                result += char;
+            }
+        }
+        return result;
+    }
+
+    findBlocks(code, pattern, nameGroup = 1) {
+        const blocks = [];
+        let match;
+        while ((match = pattern.exec(code)) !== null) {
+            const start = match.index + match[0].length;
+            const end = this.findClosing(code, start - 1);
+            blocks.push({
+                name: match[nameGroup],
+                annotations: nameGroup > 1 ? match[1] : '',
+                body: code.slice(start, end)
+            });
+            pattern.lastIndex = end + 1;
+        }
+        return blocks;
+    }
+
+    findClosing(code, openIndex) {
+        // Index of the bracket that closes the one at openIndex, skipping string literals
+        let depth = 0;
+        let quote = null;
+        for (let i = openIndex; i < code.length; i++) {
+            const char = code[i];
+            if (quote) {
+                if (char === '\\') i++;
+                else if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if ('({['.includes(char)) {
+                depth++;
+            } else if (')}]'.includes(char)) {
+                depth--;
+                if (depth === 0) return i;
+            }
+        }
+        return code.length;
+    }
+
+    splitTopLevel(code, separators) {
+        // Splits at separators outside brackets and strings; a block body ends its statement too
+        const parts = [];
+        let depth = 0;
+        let quote = null;
+        let current = '';
+        // Braces after a top-level = or => are an initializer or arrow body, which a semicolon ends
+        let assigned = false;
+        for (let i = 0; i < code.length; i++) {
+            const char = code[i];
+            current += char;
+            if (quote) {
+                if (char === '\\') current += code[++i] || '';
+                else if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if ('({['.includes(char)) {
+                depth++;
+            } else if (')}]'.includes(char)) {
+                depth--;
+                if (depth === 0 && char === '}' && separators.includes(';') && !assigned) {
+                    parts.push(current);
+                    current = '';
+                    assigned = false;
+                }
+            } else if (depth === 0 && separators.includes(char)) {
+                parts.push(current.slice(0, -1));
+                current = '';
+                assigned = false;
+            } else if (depth === 0 && char === '=') {
+                assigned = true;
+            }
+        }
+        parts.push(current);
+        return parts.map(part => part.trim()).filter(Boolean);
+    }
+
+    readAnnotations(text) {
+        const annotations = [];
+        let rest = text.trim();
+        let match;
+        while ((match = /^@(\w+(?:\.\w+)?)\s*/.exec(rest)) !== null) {
+            let args = '';
+            rest = rest.slice(match[0].length);
+            if (rest.startsWith('(')) {
+                const end = this.findClosing(rest, 0);
+                args = rest.slice(1, end);
+                rest = rest.slice(end + 1).trim();
+            }
+            annotations.push({ name: match[1], args });
+        }
+        return { annotations, rest };
+    }
+
+    readEnumValues(body) {
+        // Values end at the first top-level semicolon; members of enhanced enums follow it
+        const [valueList] = this.splitTopLevel(body, ';');
+        const hasFallback = /orElse/.test(body);
+        const values = [];
+        this.splitTopLevel(valueList || '', ',').forEach(entry => {
+            const { annotations, rest } = this.readAnnotations(entry);
+            const match = /^(\w+)\s*(?:\(([^]*)\))?$/.exec(rest);
+            if (!match) return;
+
+            // DartEnumGenerator adds an unknown member as the fallback for values it has not seen
+            if (match[1] === 'unknown' && hasFallback) return;
+
+            const jsonValue = annotations.find(annotation => annotation.name === 'JsonValue');
+            const literal = this.readLiteral(jsonValue ? jsonValue.args : match[2] || '');
+            values.push(literal !== undefined ? literal : match[1]);
+        });
+        return values;
+    }
+
+    readLiteral(text) {
+        // The first string or number literal in an argument list
+        const match = /^\s*(?:(['"])((?:\\.|(?!\1).)*)\1|(-?\d+(?:\.\d+)?))/.exec(text);
+        if (!match) return undefined;
+        return match[3] !== undefined ? Number(match[3]) : match[2].replace(/\\(.)/g, '$1');
+    }
+
+    getFieldRename(annotations) {
+        const match = /fieldRename\s*:\s*FieldRename\.(\w+)/.exec(annotations || '');
+        return match ? match[1] : 'none';
+    }
+
+    readProperties(body, fieldRename) {
+        const statements = this.splitTopLevel(body, ';');
+        const keysFromJson = this.findJsonKeys(body);
+        const properties = [];
+
+        const add = (declaration, annotations, hasDefault) => {
+            const jsonKey = annotations.find(annotation => annotation.name === 'JsonKey');
+            const args = jsonKey ? jsonKey.args : '';
+            if (/\bignore\s*:\s*true|\bincludeFromJson\s*:\s*false/.test(args)) return;
+
+            const named = /\bname\s*:\s*(['"])((?:\\.|(?!\1).)*)\1/.exec(args);
+            const key = named
+                ? named[2].replace(/\\(.)/g, '$1')
+                : keysFromJson.get(declaration.name) || this.renameField(declaration.name, fieldRename);
+            properties.push({
+                name: declaration.name,
+                type: declaration.type,
+                key,
+                jsonKey: this.keyMapper.escape(key),
+                nullable: declaration.nullable,
+                optional: hasDefault || /\bdefaultValue\s*:/.test(args) || annotations.some(annotation => annotation.name === 'Default')
+            });
+        };
+
+        statements.forEach(statement => {
+            const { annotations, rest } = this.readAnnotations(statement);
+
+            // freezed declares its fields as the parameters of the unnamed factory constructor
+            const factory = /^(?:const\s+)?factory\s+(\w+)\s*\(/.exec(rest);
+            if (factory) {
+                const open = factory[0].length - 1;
+                const params = rest.slice(open + 1, this.findClosing(rest, open)).trim().replace(/^[{[]|[}\]],?$/g, '');
+                this.splitTopLevel(params, ',').forEach(param => {
+                    const parsed = this.readAnnotations(param);
+                    const declaration = this.readDeclaration(parsed.rest.replace(/^required\s+/, ''));
+                    if (declaration && declaration.length === 1) {
+                        add(declaration[0], parsed.annotations, declaration[0].hasDefault);
+                    }
+                });
+                return;
+            }
+
+            const declarations = this.readDeclaration(rest);
+            if (declarations) {
+                declarations.forEach(declaration => add(declaration, annotations, false));
+            }
+        });
+
+        return properties;
+    }
+
+    readDeclaration(text) {
+        // "late final List<String>? tags = []" or "late String a, b"; null for methods, getters and constructors
+        let rest = text.trim();
+        let match;
+        let untyped = false;
+        while ((match = /^(late|final|var|covariant|static|const|external|abstract)\s+/.exec(rest)) !== null) {
+            if (this.skippedModifiers.includes(match[1])) return null;
+            if (match[1] === 'var') untyped = true;
+            rest = rest.slice(match[0].length);
+        }
+
+        let type = 'dynamic';
+        const typeEnd = untyped ? 0 : this.readTypeEnd(rest);
+        if (typeEnd > 0 && /^\s+\w/.test(rest.slice(typeEnd))) {
+            type = rest.slice(0, typeEnd).replace(/\s+/g, ' ');
+            rest = rest.slice(typeEnd).trim();
+        } else if (!/^(late|final)\b/.test(text.trim()) && !untyped) {
+            return null;
+        }
+
+        const declarations = [];
+        for (const part of this.splitTopLevel(rest, ',')) {
+            const name = /^(\w+)\s*(=(?!>)[^]*)?$/.exec(part);
+            if (!name || ['get', 'set', 'operator'].includes(name[1])) return null;
+            declarations.push({ name: name[1], ...this.parseTypeName(type), hasDefault: Boolean(name[2]) });
+        }
+        return declarations.length ? declarations : null;
+    }
+
+    readTypeEnd(text) {
+        // Length of the leading type: an identifier, its type arguments and a trailing ?
+        const match = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)?/.exec(text);
+        if (!match) return 0;
+        let end = match[0].length;
+        if (text[end] === '<') {
+            let depth = 0;
+            for (; end < text.length; end++) {
+                if (text[end] === '<') depth++;
+                if (text[end] === '>' && --depth === 0) break;
+            }
+            end++;
+        }
+        if (text[end] === '?') end++;
+        return end;
+    }
+
+    parseTypeName(type) {
+        const nullable = type.endsWith('?') || type === 'dynamic';
+        return { type: nullable && type !== 'dynamic' ? type.slice(0, -1) : type, nullable };
+    }
+
+    parseType(type) {
+        // "Map<String, List<Item>?>" -> { name: 'Map', args: [{ name: 'String' }, { name: 'List', ... }] }
+        const { type: base, nullable } = this.parseTypeName(type.trim());
+        const open = base.indexOf('<');
+        if (open === -1) {
+            return { name: base, args: [], nullable };
+        }
+        const args = this.splitTopLevelTypes(base.slice(open + 1, base.lastIndexOf('>')));
+        return { name: base.slice(0, open).trim(), args: args.map(arg => this.parseType(arg)), nullable };
+    }
+
+    splitTopLevelTypes(text) {
+        const parts = [];
+        let depth = 0;
+        let current = '';
+        for (const char of text) {
+            if (char === '<') depth++;
+            if (char === '>') depth--;
+            if (char === ',' && depth === 0) {
+                parts.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        parts.push(current.trim());
+        return parts.filter(Boolean);
+    }
+
+    findJsonKeys(body) {
+        // Hand-written fromJson code names the key next to the field it assigns:
+        // "userName: json['user_name']", "score = doubleFromJson(json, "score")"
+        const keys = new Map();
+        const pattern = /(?:^|[\s,({])(\w+)\s*(?::|=(?![=>]))[^;,\n]*?(?:json\??\s*\[\s*(['"])((?:\\.|(?!\2).)*)\2|\(\s*json\s*,\s*(['"])((?:\\.|(?!\4).)*)\4)/g;
+        let match;
+        while ((match = pattern.exec(body)) !== null) {
+            if (!keys.has(match[1])) {
+                keys.set(match[1], (match[3] !== undefined ? match[3] : match[5]).replace(/\\(.)/g, '$1'));
+            }
+        }
+        return keys;
+    }
+
+    renameField(name, fieldRename) {
+        const words = this.keyMapper.splitWords(name);
+        switch (fieldRename) {
+            case 'snake': return words.join('_');
+            case 'kebab': return words.join('-');
+            case 'screamingSnake': return words.join('_').toUpperCase();
+            case 'pascal': return words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+            default: return name;
+        }
+    }
+}
+
+export { DartClassReader };
@@ -1,3 +1,10 @@
+import { JsonSamples } from './json-samples.js';
+import { TypeInference } from './type-inference.js';
+import { DartSpecialTypes } from './special-types.js';
+import { KeyMapper } from './key-mapper.js';
+import { FieldOverrides } from './field-overrides.js';
+import { DartEnumGenerator } from './enum-generator.js';
+
 class DartGenerator {
     constructor() {
         this.options = {
@@ -9,8 +16,24 @@ class DartGenerator {
             useSerializable: true,
             useEquatable: true,
             useDefaultValue: false,
-            generateComment: false
+            generateComment: false,
+            inferNullability: false,
+            // 'nullable', 'required', 'infer' or 'defaults'; unset falls back to the two flags above
+            nullSafety: null,
+            detectEnums: true,
+            detectSpecialTypes: true,
+            rawFields: [],
+            keyNaming: 'camelCase',
+            fieldOverrides: {},
+            // Import lines added to every model file, e.g. from json2dart.config.json
+            extraImports: []
         };
+        this.typeInference = new TypeInference();
+        this.enumGenerator = new DartEnumGenerator();
+        this.specialTypes = new DartSpecialTypes();
+        this.keyMapper = new KeyMapper();
+        this.fieldOverrides = new FieldOverrides();
+        this.fieldTable = [];
     }
 
     setOptions(options) {
@@ -21,36 +44,123 @@ class DartGenerator {
         try {
             const jsonObj = JSON.parse(jsonString);
 
-            // Check if the input is an array
-            if (Array.isArray(jsonObj)) {
-                if (jsonObj.length === 0) {
-                    throw new Error('Cannot generate class from empty array');
-                }
-                // Use the first item in the array as the template
-                return this.buildDartClass(className, jsonObj[0], jsonString);
-            } else {
-                return this.buildDartClass(className, jsonObj, jsonString);
-            }
+            // Every element of a top-level array is a sample of the same model
+            const samples = Array.isArray(jsonObj) ? jsonObj : [jsonObj];
+            return this.generateFromSamples(className, samples, jsonString);
         } catch (error) {
             throw new Error('Invalid JSON: ' + error.message);
         }
     }
 
-    buildDartClass(className, jsonObj, originalJson) {
-        const properties = this.extractProperties(jsonObj);
+    generateFromSamples(className, samples, originalJson) {
+        return this.buildDartClass(className, this.inferRoot(samples), originalJson);
+    }
+
+    inferRoot(samples) {
+        if (samples.length === 0) {
+            throw new Error('Cannot generate class from empty array');
+        }
+
+        const rootNode = this.typeInference.inferFromSamples(samples);
+        if (rootNode.kind !== 'object') {
+            throw new Error('Root value must be an object or an array of objects');
+        }
+
+        return rootNode;
+    }
+
+    buildDartClass(className, rootNode, originalJson) {
+        return this.buildDartClasses([{ className, node: rootNode }], originalJson);
+    }
+
+    buildDartClasses(roots, originalJson, fileName = this.toFileName(roots[0].className)) {
+        const units = this.buildUnits(roots);
+
+        this.fileName = fileName;
         const imports = this.generateImports();
-        const classDeclaration = this.generateClassDeclaration(className);
+        const jsonComment = originalJson ? this.generateJsonComment(originalJson) : '';
+
+        return [
+            imports && `${imports}\n`,
+            units.map(unit => unit.code).join('\n\n'),
+            jsonComment
+        ].filter(Boolean).join('\n');
+    }
+
+    buildDartFiles(roots, originalJson) {
+        // One file per class and enum, importing the files of the types it references
+        const units = this.buildUnits(roots);
+        const jsonComment = originalJson ? this.generateJsonComment(originalJson) : '';
+
+        return units.map((unit, index) => {
+            this.fileName = this.toFileName(unit.className);
+            const localImports = [...unit.dependencies]
+                .filter(dependency => dependency !== unit.className)
+                .map(dependency => `import '${this.toFileName(dependency)}.dart';`);
+            const imports = unit.isEnum ? this.generateEnumImports() : this.generateImports(localImports);
+
+            return {
+                fileName: `${this.fileName}.dart`,
+                content: [
+                    imports && `${imports}\n`,
+                    unit.code,
+                    index === 0 ? jsonComment : ''
+                ].filter(Boolean).join('\n')
+            };
+        });
+    }
+
+    buildUnits(roots) {
+        this.nestedClasses = [];
+        this.modelTypes = new Set(roots.map(root => root.className));
+        this.classNamesByNode = new Map(roots.map(root => [root.node, root.className]));
+        // Overrides are keyed by the JSON path to each class, the same in every generator
+        this.overridePaths = new Map(roots.map(root => [root.className, root.className]));
+        this.enumTypes = new Map();
+        this.enumNamesByNode = new Map();
+        this.fieldOverrides = new FieldOverrides(this.options.fieldOverrides);
+        this.fieldTable = [];
+        this.propertiesByClass = new Map();
+
+        const units = [];
+        const buildUnit = (className, node) => {
+            this.dependencies = new Set();
+            const code = this.buildClassCode(className, node);
+            units.push({ className, code, dependencies: this.dependencies, isEnum: false });
+        };
+
+        roots.forEach(root => buildUnit(root.className, root.node));
+
+        // Nested objects are queued while their parent's properties are extracted
+        while (this.nestedClasses.length > 0) {
+            const nested = this.nestedClasses.shift();
+            buildUnit(nested.className, nested.node);
+        }
+
+        this.enumTypes.forEach((values, enumName) => {
+            units.push({
+                className: enumName,
+                code: this.enumGenerator.generate(enumName, values, this.options),
+                dependencies: new Set(),
+                isEnum: true
+            });
+        });
+
+        return units;
+    }
+
+    buildClassCode(className, objectNode) {
+        const properties = this.extractProperties(objectNode, className);
+        const classDeclaration = this.generateClassDeclaration(className, properties);
         const fields = this.generateFields(properties);
         const constructor = this.generateConstructor(className, properties);
         const fromJson = this.generateFromJson(className, properties);
-        const toJson = this.generateToJson(properties);
+        const toJson = this.generateToJson(properties, className);
+        const converters = this.generateJsonConverters(properties);
         const copyWith = this.generateCopyWith(className, properties);
         const toString = this.generateToString(className, properties);
-        const jsonComment = this.generateJsonComment(originalJson);
 
         return [
-            imports,
-            '',
             classDeclaration,
             fields,
             '',
@@ -58,37 +168,94 @@ class DartGenerator {
             '',
             fromJson,
             toJson,
+            converters,
             copyWith,
             toString,
-            '}',
-            jsonComment
+            '}'
         ].filter(Boolean).join('\n');
     }
 
-    extractProperties(obj) {
+    extractProperties(objectNode, parentClassName) {
         const properties = [];
+        const names = this.keyMapper.mapKeys(objectNode.fields.map(field => field.key), this.options.keyNaming);
+        const path = this.overridePaths.get(parentClassName) || parentClassName;
+
+        for (const field of objectNode.fields) {
+            const key = field.key;
+            const override = this.fieldOverrides.get(path, key);
 
-        for (const [key, value] of Object.entries(obj)) {
-            // Skip if key is not a valid Dart variable name
-            if (!this.isValidDartVariableName(key)) {
+            // Ignored fields stay listed in the field table so they can be brought back
+            if (override && override.ignore) {
+                this.recordField(parentClassName, { path, key, name: names.get(key), type: field.node.kind, ignored: true });
                 continue;
             }
 
-            const type = this.inferDartType(value);
-            properties.push({
-                name: this.toCamelCase(key),
+            const special = override && override.type ? null : this.getSpecialType(field.node, key, parentClassName);
+            const enumValues = special || (override && override.type) ? null : this.getEnumValues(field.node);
+            let type;
+            if (override && override.type) {
+                type = override.type;
+            } else if (special) {
+                type = special.type;
+            } else if (enumValues) {
+                type = this.registerEnum(key, field.node, enumValues, parentClassName);
+            } else {
+                type = this.inferDartType(field.node, key, parentClassName, `${path}.${key}`);
+            }
+
+            const inferred = {
+                name: names.get(key),
                 type: type,
-                jsonKey: key,
-                value: value
-            });
+                key,
+                // Escaped for the single-quoted literals the key is written into
+                jsonKey: this.keyMapper.escape(key),
+                nullable: field.node.nullable,
+                optional: this.typeInference.isOptional(field, objectNode),
+                node: field.node,
+                special
+            };
+            this.recordField(parentClassName, { path, key, name: inferred.name, type, nullable: this.isNullable(inferred) });
+
+            const prop = this.fieldOverrides.apply(path, inferred);
+            this.trackDependency(prop.type);
+            properties.push(prop);
         }
 
+        this.propertiesByClass.set(parentClassName, properties);
         return properties;
     }
 
-    isValidDartVariableName(name) {
-        // Check if name starts with a letter or underscore and contains only letters, numbers, and underscores
-        return /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name) && !this.isDartKeyword(name);
+    getTestModel(className) {
+        // Describes the generated class for DartTestGenerator
+        const properties = this.propertiesByClass.get(className) || [];
+        const clearFlags = this.getClearFlagNames(properties);
+
+        return {
+            fileName: this.toFileName(className),
+            construct: json => `${className}.fromJson(${json})`,
+            hasToJson: this.options.generateToJson,
+            copyWith: this.options.generateCopyWith,
+            hasEquality: this.options.useEquatable && this.options.generateToString,
+            properties: properties.map(prop => ({
+                ...prop,
+                nullable: this.isNullable(prop),
+                clearArgument: clearFlags.has(prop.name) ? `${clearFlags.get(prop.name)}: true` : null
+            }))
+        };
+    }
+
+    recordField(className, row) {
+        // Union variants extract the same class more than once
+        if (!this.fieldTable.some(item => item.className === className && item.key === row.key)) {
+            this.fieldTable.push({ className, ignored: false, ...row });
+        }
+    }
+
+    trackDependency(type) {
+        const typeName = this.getListItemType(type) || type;
+        if (this.dependencies && this.modelTypes.has(typeName)) {
+            this.dependencies.add(typeName);
+        }
     }
 
     isDartKeyword(name) {
@@ -109,34 +276,184 @@ class DartGenerator {
         return str.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
     }
 
-    inferDartType(value) {
-        if (value === null) return 'dynamic';
-
-        const jsType = typeof value;
+    inferDartType(node, key, parentClassName, path) {
+        if (!node) return 'dynamic';
 
-        switch (jsType) {
+        switch (node.kind) {
             case 'string':
                 return 'String';
-            case 'boolean':
+            case 'bool':
                 return 'bool';
-            case 'number':
+            case 'int':
+            case 'double':
                 if (this.options.useNum) {
                     return 'num';
                 }
-                return Number.isInteger(value) ? 'int' : 'double';
+                return node.kind;
+            case 'array': {
+                if (!node.items || node.items.kind === 'null') return 'List<dynamic>';
+                // Objects inside a list become an item class named after the singular key
+                const itemKey = key !== undefined ? this.singularize(key) : undefined;
+                const itemEnumValues = itemKey !== undefined ? this.getEnumValues(node.items) : null;
+                const itemType = itemEnumValues
+                    ? this.registerEnum(itemKey, node.items, itemEnumValues, parentClassName)
+                    : this.inferDartType(node.items, itemKey, parentClassName, path);
+                return `List<${itemType}>`;
+            }
             case 'object':
-                if (Array.isArray(value)) {
-                    if (value.length === 0) return 'List<dynamic>';
-                    const itemType = this.inferDartType(value[0]);
-                    return `List<${itemType}>`;
+                if (key !== undefined) {
+                    return this.registerNestedClass(key, node, parentClassName, path);
                 }
                 return 'Map<String, dynamic>';
+            case 'map':
+                return 'Map<String, dynamic>';
             default:
                 return 'dynamic';
         }
     }
 
-    generateImports() {
+    getSpecialType(node, key, className) {
+        if (!this.options.detectSpecialTypes) return null;
+        if (this.specialTypes.isExcluded(this.options.rawFields, className, key)) return null;
+        return this.specialTypes.detect(node, key);
+    }
+
+    getEnumValues(node) {
+        // Schema enums always apply; sample-based detection can be switched off
+        if (node.enumValues) return this.typeInference.getEnumValues(node);
+        return this.options.detectEnums ? this.typeInference.getEnumValues(node) : null;
+    }
+
+    registerEnum(key, node, values, parentClassName) {
+        if (this.enumNamesByNode.has(node)) {
+            return this.enumNamesByNode.get(node);
+        }
+
+        const enumName = this.uniqueTypeName(this.toClassName(node.title || key), parentClassName);
+        this.modelTypes.add(enumName);
+        this.enumTypes.set(enumName, values);
+        this.enumNamesByNode.set(node, enumName);
+        return enumName;
+    }
+
+    isEnumType(type) {
+        return Boolean(this.enumTypes && this.enumTypes.has(type));
+    }
+
+    uniqueTypeName(className, parentClassName) {
+        // Avoid clashing with the root class or a sibling nested class
+        if (this.modelTypes.has(className)) {
+            className = `${parentClassName || ''}${className}`;
+        }
+        className = className || 'Item';
+        let uniqueName = className;
+        let index = 2;
+        while (this.modelTypes.has(uniqueName)) {
+            uniqueName = `${className}${index++}`;
+        }
+        return uniqueName;
+    }
+
+    registerNestedClass(key, node, parentClassName, path) {
+        // Schema $refs share one node (or one title) and must map to one class
+        if (this.classNamesByNode.has(node)) {
+            return this.classNamesByNode.get(node);
+        }
+        if (node.title) {
+            const sameTitle = [...this.classNamesByNode.keys()].find(other => other.title === node.title);
+            if (sameTitle) {
+                return this.classNamesByNode.get(sameTitle);
+            }
+        }
+
+        const className = node.title ? this.toClassName(node.title) : this.toClassName(key);
+        const uniqueName = this.uniqueTypeName(className, parentClassName);
+
+        this.modelTypes.add(uniqueName);
+        this.classNamesByNode.set(node, uniqueName);
+        // A class reached through several keys, like a shared $ref, takes the path it was first found at
+        this.overridePaths.set(uniqueName, path || uniqueName);
+        this.nestedClasses.push({ className: uniqueName, node });
+        return uniqueName;
+    }
+
+    isModelType(type) {
+        return Boolean(this.modelTypes && this.modelTypes.has(type)) && !this.isEnumType(type);
+    }
+
+    getListItemType(type) {
+        const match = /^List<(.+)>$/.exec(type);
+        return match ? match[1] : null;
+    }
+
+    isModelListType(type) {
+        return this.isModelType(this.getListItemType(type));
+    }
+
+    containsModelType(type) {
+        // Models inside lists at any depth, like List<List<Point>>
+        const itemType = this.getListItemType(type);
+        return itemType ? this.containsModelType(itemType) : this.isModelType(type);
+    }
+
+    needsListConversion(type) {
+        // Decoded JSON lists are List<dynamic>, so lists of models, enums or doubles, at any depth, are mapped element by element
+        const itemType = this.getListItemType(type);
+        return Boolean(itemType) && this.convertFromJson(itemType, 'e', 1) !== null;
+    }
+
+    convertFromJson(type, value, depth) {
+        // The expression reading one decoded list element as type, or null when the element is used as it is
+        if (this.isModelType(type)) {
+            return `${type}.fromJson(${value} as Map<String, dynamic>)`;
+        }
+        if (this.isEnumType(type)) {
+            return `${type}.fromJson(${value} as ${this.enumGenerator.getValueType(this.enumTypes.get(type))})`;
+        }
+        if (type === 'double') {
+            return `(${value} as num).toDouble()`;
+        }
+
+        const itemType = this.getListItemType(type);
+        if (!itemType) return null;
+
+        const element = `e${depth}`;
+        const item = this.convertFromJson(itemType, element, depth + 1);
+        if (item === null) {
+            return itemType === 'dynamic' ? `${value} as List<dynamic>` : `(${value} as List<dynamic>).cast<${itemType}>()`;
+        }
+        return `(${value} as List<dynamic>).map((${element}) => ${item}).toList()`;
+    }
+
+    convertToJson(type, value, depth) {
+        // The expression writing one list element back to JSON, or null when it is written as it is
+        if (this.isModelType(type) || this.isEnumType(type)) {
+            return `${value}.toJson()`;
+        }
+
+        const itemType = this.getListItemType(type);
+        if (!itemType) return null;
+
+        const element = `e${depth}`;
+        const item = this.convertToJson(itemType, element, depth + 1);
+        return item === null ? null : `${value}.map((${element}) => ${item}).toList()`;
+    }
+
+    singularize(str) {
+        if (/ies$/i.test(str)) return str.slice(0, -3) + 'y';
+        if (/(ss|us)$/i.test(str)) return str;
+        if (/s$/i.test(str)) return str.slice(0, -1);
+        return `${str}_item`;
+    }
+
+    toClassName(str) {
+        const camel = this.toCamelCase(str)
+            .replace(/[^a-zA-Z0-9]+(.)?/g, (match, letter) => (letter ? letter.toUpperCase() : ''));
+        const className = camel.charAt(0).toUpperCase() + camel.slice(1);
+        return /^[0-9]/.test(className) ? `Model${className}` : className;
+    }
+
+    generateImports(localImports = []) {
         const imports = [];
 
         if (this.options.useSerializable) {
@@ -147,19 +464,38 @@ class DartGenerator {
             imports.push("import 'package:equatable/equatable.dart';");
         }
 
-        if (this.options.useSerializable) {
-            imports.push('');
-            imports.push("part 'model.g.dart';");
-        }
+        const parts = this.options.useSerializable ? [`part '${this.fileName}.g.dart';`] : [];
 
-        return imports.join('\n');
+        return this.joinImportGroups([...imports, ...this.options.extraImports], localImports, parts);
     }
 
-    generateClassDeclaration(className) {
+    generateEnumImports() {
+        // @JsonValue annotations are only emitted for json_serializable
+        return this.options.useSerializable ? "import 'package:json_annotation/json_annotation.dart';" : '';
+    }
+
+    joinImportGroups(...groups) {
+        return groups
+            .filter(group => group.length > 0)
+            .map(group => group.join('\n'))
+            .join('\n\n');
+    }
+
+    toFileName(className) {
+        // UserProfile -> user_profile, HTTPResponse -> http_response
+        return className
+            .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+            .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+            .toLowerCase();
+    }
+
+    generateClassDeclaration(className, properties = []) {
         const annotations = [];
 
         if (this.options.useSerializable) {
-            annotations.push('@JsonSerializable()');
+            // Nested models need explicitToJson so toJson recurses into them
+            const hasNested = properties.some(prop => this.containsModelType(prop.type));
+            annotations.push(hasNested ? '@JsonSerializable(explicitToJson: true)' : '@JsonSerializable()');
         }
 
         const extendsClause = this.options.useEquatable ? ' extends Equatable' : '';
@@ -174,20 +510,51 @@ class DartGenerator {
         return properties.map(prop => {
             const annotations = [];
 
-            if (this.options.generateKeys && this.options.useSerializable) {
-                annotations.push(`  @JsonKey(name: '${prop.jsonKey}')`);
+            if (this.options.useSerializable) {
+                const keyArgs = this.getJsonKeyArgs(prop);
+                if (keyArgs.length > 0) {
+                    annotations.push(`  @JsonKey(${keyArgs.join(', ')})`);
+                }
             }
 
-            const nullable = this.options.useDefaultValue ? '' : '?';
-            const field = `  final ${prop.type}${nullable} ${prop.name};`;
+            const field = `  final ${prop.type}${this.nullableSuffix(prop)} ${prop.name};`;
 
             return [...annotations, field].join('\n');
         }).join('\n\n');
     }
 
+    getJsonKeyArgs(prop) {
+        const defaultValue = this.getJsonKeyDefault(prop);
+        const keyArgs = [];
+        // A renamed field always needs the original key
+        if (this.options.generateKeys || prop.name !== prop.key) {
+            keyArgs.push(`name: '${prop.jsonKey}'`);
+        }
+        if (this.isEnumType(prop.type)) {
+            keyArgs.push(`unknownEnumValue: ${prop.type}.unknown`);
+        }
+        if (defaultValue !== undefined) {
+            keyArgs.push(`defaultValue: ${defaultValue}`);
+        }
+        if (this.needsJsonConverter(prop)) {
+            keyArgs.push(`fromJson: _${prop.name}FromJson, toJson: _${prop.name}ToJson`);
+        }
+        return keyArgs;
+    }
+
+    getJsonKeyDefault(prop) {
+        if (prop.defaultValue !== undefined) return prop.defaultValue;
+
+        // json_serializable throws on a missing non-null key unless it knows the zero value
+        if (!this.usesDefaults() || this.isNullable(prop) || prop.special) return undefined;
+        // Annotation arguments are already constant
+        const defaultValue = this.getPolicyDefault(prop);
+        return defaultValue === null ? undefined : defaultValue.replace(/^const /, '');
+    }
+
     generateConstructor(className, properties) {
         const params = properties.map(prop => {
-            const required = this.options.useDefaultValue ? 'required ' : '';
+            const required = this.isNullable(prop) ? '' : 'required ';
             return `    ${required}this.${prop.name}`;
         }).join(',\n');
 
@@ -198,16 +565,93 @@ class DartGenerator {
         ].join('\n');
     }
 
+    getNullSafety() {
+        if (this.options.nullSafety) return this.options.nullSafety;
+        if (this.options.useDefaultValue) return 'defaults';
+        return this.options.inferNullability ? 'infer' : 'nullable';
+    }
+
+    usesDefaults() {
+        return this.getNullSafety() === 'defaults';
+    }
+
+    isNullable(prop) {
+        if (prop.nullability) return prop.nullability === 'nullable';
+
+        switch (this.getNullSafety()) {
+            case 'required':
+                return false;
+            case 'defaults':
+                // Types without a zero value stay nullable
+                return !this.hasPolicyDefault(prop);
+            case 'infer':
+                // Only keys that were null or missing in some sample, or optional in the schema, stay nullable
+                return prop.nullable || prop.optional;
+            default:
+                return true;
+        }
+    }
+
+    hasPolicyDefault(prop) {
+        return Boolean(prop.special) || this.isModelType(prop.type) || this.getPolicyDefault(prop) !== null;
+    }
+
+    getPolicyDefault(prop) {
+        if (this.isEnumType(prop.type)) return `${prop.type}.unknown`;
+        if (prop.type.startsWith('List<')) return 'const []';
+        if (prop.type.startsWith('Map<')) return 'const {}';
+
+        const defaultValue = this.getDefaultValue(prop.type);
+        return defaultValue === 'null' ? null : defaultValue;
+    }
+
+    nullableSuffix(prop) {
+        return this.isNullable(prop) && prop.type !== 'dynamic' ? '?' : '';
+    }
+
     generateFromJson(className, properties) {
         if (!this.options.useSerializable) {
             const assignments = properties.map(prop => {
+                if (prop.defaultValue !== undefined) {
+                    return `      ${prop.name}: ${this.generateDefaultedFromJson(prop)}`;
+                }
+
+                if (this.isModelType(prop.type)) {
+                    return `      ${prop.name}: ${this.generateModelFromJson(prop)}`;
+                }
+
+                if (this.needsListConversion(prop.type)) {
+                    return `      ${prop.name}: ${this.generateModelListFromJson(prop)}`;
+                }
+
+                if (this.isEnumType(prop.type)) {
+                    return `      ${prop.name}: ${this.generateEnumFromJson(prop)}`;
+                }
+
+                if (prop.special) {
+                    return `      ${prop.name}: ${this.generateSpecialFromJson(prop)}`;
+                }
+
                 let assignment = `      ${prop.name}: json['${prop.jsonKey}']`;
 
-                if (prop.type !== 'dynamic' && !this.options.useDefaultValue) {
-                    assignment += ` as ${prop.type}?`;
-                } else if (this.options.useDefaultValue) {
-                    const defaultValue = this.getDefaultValue(prop.type);
-                    assignment += ` as ${prop.type}? ?? ${defaultValue}`;
+                if (prop.type === 'dynamic') {
+                    return assignment;
+                }
+
+                if (prop.type === 'double') {
+                    // JSON has no separate double type, so whole numbers like 3 decode as int
+                    if (!this.isNullable(prop) && this.usesDefaults()) {
+                        return `      ${prop.name}: (json['${prop.jsonKey}'] as num?)?.toDouble() ?? ${this.getPolicyDefault(prop)}`;
+                    }
+                    return this.isNullable(prop)
+                        ? `      ${prop.name}: (json['${prop.jsonKey}'] as num?)?.toDouble()`
+                        : `      ${prop.name}: (json['${prop.jsonKey}'] as num).toDouble()`;
+                }
+
+                if (!this.isNullable(prop) && this.usesDefaults()) {
+                    assignment += ` as ${prop.type}? ?? ${this.getPolicyDefault(prop)}`;
+                } else {
+                    assignment += ` as ${prop.type}${this.nullableSuffix(prop)}`;
                 }
 
                 return assignment;
@@ -225,13 +669,105 @@ class DartGenerator {
         }
     }
 
-    generateToJson(properties) {
+    generateDefaultedFromJson(prop) {
+        const jsonAccess = `json['${prop.jsonKey}']`;
+        const present = { ...prop, nullability: 'required' };
+        let value;
+
+        if (this.isModelType(prop.type)) {
+            value = this.generateModelFromJson(present);
+        } else if (this.needsListConversion(prop.type)) {
+            value = this.generateModelListFromJson(present);
+        } else if (this.isEnumType(prop.type)) {
+            value = this.generateEnumFromJson(present);
+        } else if (prop.special) {
+            value = this.generateSpecialFromJson(present);
+        } else if (prop.type === 'double') {
+            return `(${jsonAccess} as num?)?.toDouble() ?? ${prop.defaultValue}`;
+        } else {
+            return prop.type === 'dynamic'
+                ? `${jsonAccess} ?? ${prop.defaultValue}`
+                : `${jsonAccess} as ${prop.type}? ?? ${prop.defaultValue}`;
+        }
+
+        return `${jsonAccess} == null\n          ? ${prop.defaultValue}\n          : ${value}`;
+    }
+
+    generateModelFromJson(prop) {
+        const jsonAccess = `json['${prop.jsonKey}']`;
+
+        if (this.isNullable(prop)) {
+            return `${jsonAccess} == null\n          ? null\n          : ${prop.type}.fromJson(${jsonAccess} as Map<String, dynamic>)`;
+        }
+
+        if (this.usesDefaults()) {
+            return `${prop.type}.fromJson(${jsonAccess} as Map<String, dynamic>? ?? {})`;
+        }
+
+        return `${prop.type}.fromJson(${jsonAccess} as Map<String, dynamic>)`;
+    }
+
+    generateEnumFromJson(prop) {
+        const jsonAccess = `json['${prop.jsonKey}']`;
+        const valueType = this.enumGenerator.getValueType(this.enumTypes.get(prop.type));
+
+        if (!this.isNullable(prop)) {
+            return `${prop.type}.fromJson(${jsonAccess} as ${valueType}?)`;
+        }
+
+        return `${jsonAccess} == null\n          ? null\n          : ${prop.type}.fromJson(${jsonAccess} as ${valueType})`;
+    }
+
+    generateSpecialFromJson(prop) {
+        const { rawType, parse, fallback } = prop.special;
+        const jsonAccess = `json['${prop.jsonKey}']`;
+        const parsed = parse(`${jsonAccess} as ${rawType}`);
+
+        if (this.isNullable(prop)) {
+            return `${jsonAccess} == null\n          ? null\n          : ${parsed}`;
+        }
+
+        if (this.usesDefaults()) {
+            return `${jsonAccess} == null\n          ? ${fallback}\n          : ${parsed}`;
+        }
+
+        return parsed;
+    }
+
+    generateModelListFromJson(prop) {
+        const item = this.convertFromJson(this.getListItemType(prop.type), 'e', 1);
+
+        const nullable = this.isNullable(prop);
+
+        if (!nullable && !this.usesDefaults()) {
+            return `(json['${prop.jsonKey}'] as List<dynamic>)\n          .map((e) => ${item})\n          .toList()`;
+        }
+
+        const mapped = `(json['${prop.jsonKey}'] as List<dynamic>?)\n          ?.map((e) => ${item})\n          .toList()`;
+
+        return nullable ? mapped : `${mapped} ?? const []`;
+    }
+
+    generateToJson(properties, className) {
         if (!this.options.generateToJson) return '';
 
         if (!this.options.useSerializable) {
-            const assignments = properties.map(prop =>
-                `      '${prop.jsonKey}': ${prop.name}`
-            ).join(',\n');
+            const assignments = properties.map(prop => {
+                if (this.isModelType(prop.type) || this.isEnumType(prop.type)) {
+                    const access = this.isNullable(prop) ? '?.' : '.';
+                    return `      '${prop.jsonKey}': ${prop.name}${access}toJson()`;
+                }
+                const item = prop.type.startsWith('List<') ? this.convertToJson(this.getListItemType(prop.type), 'e', 1) : null;
+                if (item !== null) {
+                    const access = this.isNullable(prop) ? '?.' : '.';
+                    return `      '${prop.jsonKey}': ${prop.name}${access}map((e) => ${item}).toList()`;
+                }
+                if (prop.special) {
+                    const access = this.isNullable(prop) ? '?' : '';
+                    return `      '${prop.jsonKey}': ${prop.name}${access}${prop.special.serialize}`;
+                }
+                return `      '${prop.jsonKey}': ${prop.name}`;
+            }).join(',\n');
 
             return [
                 '',
@@ -242,26 +778,68 @@ class DartGenerator {
                 '  }'
             ].join('\n');
         } else {
-            return '\n  Map<String, dynamic> toJson() => _$' + this.className + 'ToJson(this);';
+            return '\n  Map<String, dynamic> toJson() => _$' + className + 'ToJson(this);';
         }
     }
 
+    generateJsonConverters(properties) {
+        if (!this.options.useSerializable) return '';
+
+        // json_serializable handles ISO dates and URLs itself; epoch and duration fields need converters
+        const converted = properties.filter(prop => this.needsJsonConverter(prop));
+        if (converted.length === 0) return '';
+
+        return converted.map(prop => {
+            const { type, rawType, parse, serialize, fallback } = prop.special;
+            const nullable = this.isNullable(prop);
+            const missing = nullable ? 'null' : fallback;
+
+            if (!nullable && !this.usesDefaults()) {
+                return [
+                    '',
+                    `  static ${type} _${prop.name}FromJson(${rawType} value) => ${parse('value')};`,
+                    '',
+                    `  static ${rawType} _${prop.name}ToJson(${type} value) => value${serialize};`
+                ].join('\n');
+            }
+
+            return [
+                '',
+                `  static ${type}${nullable ? '?' : ''} _${prop.name}FromJson(${rawType}? value) =>`,
+                `      value == null ? ${missing} : ${parse('value')};`,
+                '',
+                `  static ${rawType}${nullable ? '?' : ''} _${prop.name}ToJson(${type}${nullable ? '?' : ''} value) => value${nullable ? '?' : ''}${serialize};`
+            ].join('\n');
+        }).join('\n');
+    }
+
+    needsJsonConverter(prop) {
+        return Boolean(prop.special) && prop.special.rawType === 'int';
+    }
+
     generateCopyWith(className, properties) {
         if (!this.options.generateCopyWith) return '';
 
+        // Passing null keeps the current value, so nullable fields also get a clear flag
+        const clearFlags = this.getClearFlagNames(properties);
+
         const params = properties.map(prop => {
-            const nullable = this.options.useDefaultValue ? '' : '?';
+            const nullable = prop.type === 'dynamic' ? '' : '?';
             return `    ${prop.type}${nullable} ${prop.name}`;
+        });
+        clearFlags.forEach(flag => params.push(`    bool ${flag} = false`));
+
+        const assignments = properties.map(prop => {
+            const value = `${prop.name} ?? this.${prop.name}`;
+            return clearFlags.has(prop.name)
+                ? `      ${prop.name}: ${clearFlags.get(prop.name)} ? null : ${value}`
+                : `      ${prop.name}: ${value}`;
         }).join(',\n');
 
-        const assignments = properties.map(prop =>
-            `      ${prop.name}: ${prop.name} ?? this.${prop.name}`
-        ).join(',\n');
-
         return [
             '',
             `  ${className} copyWith({`,
-            params,
+            params.join(',\n'),
             '  }) {',
             `    return ${className}(`,
             assignments,
@@ -270,15 +848,34 @@ class DartGenerator {
         ].join('\n');
     }
 
+    getClearFlagNames(properties) {
+        const used = new Set(properties.map(prop => prop.name));
+        const flags = new Map();
+
+        properties.filter(prop => this.isNullable(prop)).forEach(prop => {
+            const name = `clear${prop.name.charAt(0).toUpperCase()}${prop.name.slice(1)}`;
+            let flag = name;
+            let index = 2;
+            while (used.has(flag)) {
+                flag = `${name}${index++}`;
+            }
+            used.add(flag);
+            flags.set(prop.name, flag);
+        });
+
+        return flags;
+    }
+
     generateToString(className, properties) {
         if (!this.options.generateToString) return '';
 
         if (this.options.useEquatable) {
             const propsList = properties.map(prop => prop.name).join(', ');
+            const itemType = properties.some(prop => this.isNullable(prop) || prop.type === 'dynamic') ? 'Object?' : 'Object';
             return [
                 '',
                 '  @override',
-                `  List<Object?> get props => [${propsList}];`
+                `  List<${itemType}> get props => [${propsList}];`
             ].join('\n');
         } else {
             const propsString = properties.map(prop =>
@@ -298,7 +895,7 @@ class DartGenerator {
     generateJsonComment(originalJson) {
         if (!this.options.generateComment) return '';
 
-        const formattedJson = JSON.stringify(JSON.parse(originalJson), null, 2)
+        const formattedJson = JsonSamples.format(JsonSamples.parse(originalJson))
             .split('\n')
             .map(line => '// ' + line)
             .join('\n');
@@ -318,5 +915,4 @@ class DartGenerator {
     }
 }
 
-// Export for use in script.js
-window.DartGenerator = DartGenerator;
\ No newline at end of file
+export { DartGenerator };
\ No newline at end of file
@@ -0,0 +1,102 @@
+// Enum Generator - Builds Dart enums with a safe fromJson fallback for closed value sets
+import { KeyMapper } from './key-mapper.js';
+
+class DartEnumGenerator {
+    constructor() {
+        this.keyMapper = new KeyMapper();
+    }
+
+    generate(enumName, values, options = {}) {
+        const members = this.buildMembers(values);
+        const valueType = this.getValueType(values);
+        const lines = [`enum ${enumName} {`];
+
+        // Unknown values coming from the API map to this member instead of throwing
+        const entries = members.some(member => member.name === 'unknown')
+            ? members
+            : [...members, { name: 'unknown', value: ['int', 'double'].includes(valueType) ? -1 : 'unknown', isFallback: true }];
+
+        entries.forEach((member, index) => {
+            const terminator = index === entries.length - 1 ? ';' : ',';
+            if (options.useSerializable && !member.isFallback) {
+                lines.push(`  @JsonValue(${this.toLiteral(member.value)})`);
+            }
+            lines.push(`  ${member.name}(${this.toLiteral(member.value)})${terminator}`);
+        });
+
+        lines.push('');
+        lines.push(`  const ${enumName}(this.value);`);
+        lines.push('');
+        lines.push(`  final ${valueType} value;`);
+        lines.push('');
+        lines.push(`  static ${enumName} fromJson(${valueType}? value) {`);
+        lines.push(`    return ${enumName}.values.firstWhere(`);
+        lines.push('      (e) => e.value == value,');
+        lines.push(`      orElse: () => ${enumName}.unknown,`);
+        lines.push('    );');
+        lines.push('  }');
+        lines.push('');
+        lines.push(`  ${valueType} toJson() => value;`);
+        lines.push('}');
+
+        return lines.join('\n');
+    }
+
+    getValueType(values) {
+        if (values.every(value => typeof value === 'string')) return 'String';
+        if (values.every(value => Number.isInteger(value))) return 'int';
+        if (values.every(value => typeof value === 'number')) return 'double';
+        return 'Object';
+    }
+
+    buildMembers(values) {
+        const used = new Set();
+
+        return values.map(value => {
+            let name = this.toMemberName(value);
+            const baseName = name;
+            let index = 2;
+            while (used.has(name)) {
+                name = `${baseName}${index++}`;
+            }
+            used.add(name);
+            return { name, value };
+        });
+    }
+
+    toMemberName(value) {
+        if (typeof value === 'number') {
+            return value < 0 ? `valueMinus${String(-value).replace('.', '_')}` : `value${String(value).replace('.', '_')}`;
+        }
+
+        const words = String(value)
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .split(/[^a-zA-Z0-9]+/)
+            .filter(Boolean)
+            .map(word => word.toLowerCase());
+
+        let name = words
+            .map((word, index) => (index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+            .join('');
+
+        if (!name) return 'empty';
+        if (/^[0-9]/.test(name)) name = `value${name}`;
+        if (this.isReserved(name)) name = `${name}Value`;
+        return name;
+    }
+
+    isReserved(name) {
+        // Dart keywords plus members every enum already has
+        return ['values', 'index', 'name', 'value', 'hashCode', 'runtimeType', 'toString'].includes(name)
+            || this.keyMapper.keywords.includes(name);
+    }
+
+    toLiteral(value) {
+        if (typeof value === 'string') {
+            return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\$/g, '\\$')}'`;
+        }
+        return String(value);
+    }
+}
+
+export { DartEnumGenerator };
\ No newline at end of file
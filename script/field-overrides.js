@@ -0,0 +1,92 @@
+// Field Overrides - Per-field name, type, nullability, default and ignore settings keyed by "Root.jsonPath.jsonKey"
+import { KeyMapper } from './key-mapper.js';
+
+class FieldOverrides {
+    constructor(overrides = {}) {
+        this.overrides = overrides || {};
+    }
+
+    static keyFor(path, key) {
+        // path is the root class name followed by the JSON keys down to the field's object, e.g. "User.address";
+        // list items share their list's key. Generators name nested classes differently, so they are not used.
+        return `${path}.${key}`;
+    }
+
+    static checkName(name) {
+        // Returns why an overridden field name cannot be used, or null
+        return name ? new KeyMapper().checkIdentifier(name) : null;
+    }
+
+    get(path, key) {
+        const override = this.overrides[FieldOverrides.keyFor(path, key)];
+        return override && Object.keys(override).length > 0 ? override : null;
+    }
+
+    isIgnored(path, key) {
+        const override = this.get(path, key);
+        return Boolean(override && override.ignore);
+    }
+
+    apply(path, prop) {
+        // Returns a copy of the property with every non-empty override applied
+        const override = this.get(path, prop.key);
+        if (!override) return prop;
+
+        const result = { ...prop };
+        if (override.name) result.name = override.name;
+        if (override.type) {
+            result.type = override.type;
+            // A hand-picked type replaces any detected conversion
+            result.special = null;
+            result.typeOverridden = true;
+        }
+        if (override.nullability === 'nullable' || override.nullability === 'required') {
+            result.nullability = override.nullability;
+        }
+        if (override.defaultValue !== undefined && override.defaultValue !== '') {
+            result.defaultValue = override.defaultValue;
+        }
+        return result;
+    }
+
+    set(path, key, changes, siblings = []) {
+        // siblings are the other fields of the same class as { key, name }, name being the inferred one
+        const error = FieldOverrides.checkName(changes.name) || this.checkClash(path, changes.name, siblings);
+        if (error) {
+            throw new Error(error);
+        }
+
+        const id = FieldOverrides.keyFor(path, key);
+        const next = { ...this.overrides[id], ...changes };
+
+        // Empty values fall back to the inferred setting
+        Object.keys(next).forEach(name => {
+            if (next[name] === '' || next[name] === false || next[name] === 'auto' || next[name] === undefined) {
+                delete next[name];
+            }
+        });
+
+        if (Object.keys(next).length === 0) {
+            delete this.overrides[id];
+        } else {
+            this.overrides[id] = next;
+        }
+    }
+
+    checkClash(path, name, siblings) {
+        // Returns why the name is taken by another field of the class, or null
+        if (!name) return null;
+
+        const clash = siblings.find(sibling => {
+            const override = this.get(path, sibling.key);
+            return ((override && override.name) || sibling.name) === name;
+        });
+        return clash ? `"${name}" is already the name of the "${clash.key}" field` : null;
+    }
+
+    toJSON() {
+        return this.overrides;
+    }
+}
+
+export { FieldOverrides };
\ No newline at end of file
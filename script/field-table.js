@@ -0,0 +1,98 @@
+// Field Table - Lists every generated field and edits its overrides in place
+class FieldTableEditor {
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+        this.rows = [];
+    }
+
+    render(rows, overrides) {
+        this.container.innerHTML = '';
+        this.rows = rows || [];
+
+        if (!rows || rows.length === 0) {
+            this.container.classList.remove('active');
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'field-table';
+        table.innerHTML = '<thead><tr><th>Field</th><th>Dart name</th><th>Type</th>'
+            + '<th>Nullability</th><th>Default</th><th>Include</th></tr></thead>';
+
+        const body = document.createElement('tbody');
+        rows.forEach(row => body.appendChild(this.renderRow(row, overrides.get(this.getPath(row), row.key) || {})));
+        table.appendChild(body);
+
+        this.container.appendChild(table);
+        this.container.classList.add('active');
+    }
+
+    renderRow(row, override) {
+        const tr = document.createElement('tr');
+        if (row.ignored) tr.className = 'ignored';
+
+        const label = document.createElement('td');
+        label.textContent = `${row.className}.${row.key}`;
+        label.title = `${this.getPath(row)}.${row.key}`;
+        tr.appendChild(label);
+
+        // Inputs show the inferred value as placeholder and only store what was typed
+        tr.appendChild(this.createInput(override.name, row.name, value => this.emit(row, { name: value.trim() })));
+        tr.appendChild(this.createInput(override.type, row.type, value => this.emit(row, { type: value.trim() })));
+
+        const nullability = document.createElement('select');
+        [
+            ['auto', row.nullable ? 'Auto (nullable)' : 'Auto (required)'],
+            ['nullable', 'Nullable'],
+            ['required', 'Required']
+        ].forEach(([value, text]) => nullability.add(new Option(text, value)));
+        nullability.value = override.nullability || 'auto';
+        nullability.addEventListener('change', () => this.emit(row, { nullability: nullability.value }));
+        tr.appendChild(this.wrap(nullability));
+
+        tr.appendChild(this.createInput(override.defaultValue, 'none', value => this.emit(row, { defaultValue: value.trim() })));
+
+        const include = document.createElement('input');
+        include.type = 'checkbox';
+        include.checked = !override.ignore;
+        include.addEventListener('change', () => this.emit(row, { ignore: !include.checked }));
+        tr.appendChild(this.wrap(include));
+
+        return tr;
+    }
+
+    createInput(value, placeholder, onCommit) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = value || '';
+        input.placeholder = placeholder || '';
+        input.addEventListener('change', () => onCommit(input.value));
+        return this.wrap(input);
+    }
+
+    wrap(element) {
+        const td = document.createElement('td');
+        td.appendChild(element);
+        return td;
+    }
+
+    getPath(row) {
+        // Overrides are keyed by JSON path; rows without one come from the root class
+        return row.path || row.className;
+    }
+
+    getSiblings(row) {
+        // The other included fields of the row's class, which a rename must not collide with
+        const path = this.getPath(row);
+        return this.rows
+            .filter(other => !other.ignored && other.key !== row.key && this.getPath(other) === path)
+            .map(other => ({ key: other.key, name: other.name }));
+    }
+
+    emit(row, changes) {
+        this.onChange(this.getPath(row), row.key, changes, this.getSiblings(row));
+    }
+}
+
+export { FieldTableEditor };
@@ -0,0 +1,202 @@
+// Freezed Generator - Emits @freezed classes on top of DartGenerator's type extraction
+import { DartGenerator } from './dart-generator.js';
+
+class FreezedGenerator extends DartGenerator {
+    setOptions(options) {
+        // Freezed always serializes through json_serializable and brings its own equality
+        super.setOptions({ ...options, useSerializable: true, useEquatable: false });
+    }
+
+    generateImports(localImports = []) {
+        const parts = [`part '${this.fileName}.freezed.dart';`];
+        if (this.options.generateToJson) {
+            parts.push(`part '${this.fileName}.g.dart';`);
+        }
+
+        const imports = ["import 'package:freezed_annotation/freezed_annotation.dart';", ...this.options.extraImports];
+        return this.joinImportGroups(imports, localImports, parts);
+    }
+
+    buildClassCode(className, objectNode) {
+        const unionKey = this.getUnionKey(objectNode);
+        if (unionKey) {
+            return this.buildUnionCode(className, objectNode, unionKey);
+        }
+
+        const properties = this.extractProperties(objectNode, className);
+        const converters = this.generateJsonConverters(properties);
+
+        return [
+            '@freezed',
+            `abstract class ${className} with _$${className} {`,
+            ...this.generateFactoryAnnotations(properties),
+            `  const factory ${className}(${this.generateParameters(properties)}) = _${className};`,
+            this.generateFreezedFromJson(className),
+            converters,
+            '}'
+        ].filter(Boolean).join('\n');
+    }
+
+    buildUnionCode(className, objectNode, unionKey) {
+        const usedNames = new Set();
+        const converters = [];
+
+        const constructors = objectNode.variants.map((variant, index) => {
+            const unionValue = this.getUnionValue(variant, unionKey);
+            const constructorName = this.toConstructorName(variant.title || unionValue || `variant${index + 1}`, usedNames);
+            const properties = this.extractProperties(
+                { ...variant, fields: variant.fields.filter(field => field.key !== unionKey) },
+                className
+            );
+
+            const converterCode = this.generateJsonConverters(properties);
+            if (converterCode && !converters.includes(converterCode)) {
+                converters.push(converterCode);
+            }
+
+            return [
+                '',
+                `  @FreezedUnionValue(${this.enumGenerator.toLiteral(unionValue || constructorName)})`,
+                ...this.generateFactoryAnnotations(properties),
+                `  const factory ${className}.${constructorName}(${this.generateParameters(properties)}) = ${className}${this.capitalize(constructorName)};`
+            ].join('\n');
+        });
+
+        return [
+            `@Freezed(unionKey: ${this.enumGenerator.toLiteral(unionKey)})`,
+            `sealed class ${className} with _$${className} {`,
+            constructors.join('\n').slice(1),
+            this.generateFreezedFromJson(className),
+            ...converters,
+            '}'
+        ].filter(Boolean).join('\n');
+    }
+
+    getTestModel(className) {
+        // Freezed always brings copyWith and value equality; its copyWith accepts null directly
+        const model = super.getTestModel(className);
+        return {
+            ...model,
+            copyWith: true,
+            hasEquality: true,
+            properties: model.properties.map(prop => ({ ...prop, clearArgument: prop.nullable ? `${prop.name}: null` : null }))
+        };
+    }
+
+    generateFactoryAnnotations(properties) {
+        // Nested models need explicitToJson so toJson recurses into them
+        const hasNested = properties.some(prop => this.containsModelType(prop.type));
+        return hasNested && this.options.generateToJson ? ['  @JsonSerializable(explicitToJson: true)'] : [];
+    }
+
+    generateParameters(properties) {
+        if (properties.length === 0) return '';
+
+        const params = properties.map(prop => {
+            const annotations = [];
+            const keyArgs = this.getJsonKeyArgs(prop);
+            if (keyArgs.length > 0) {
+                annotations.push(`@JsonKey(${keyArgs.join(', ')})`);
+            }
+
+            const defaultValue = this.getFreezedDefault(prop);
+            if (defaultValue !== null) {
+                annotations.push(`@Default(${defaultValue})`);
+                // A default makes the field non-null unless it was explicitly overridden as nullable
+                const suffix = prop.nullability === 'nullable' ? this.nullableSuffix(prop) : '';
+                return `    ${[...annotations, `${prop.type}${suffix} ${prop.name}`].join(' ')}`;
+            }
+
+            const declaration = this.isNullable(prop)
+                ? `${prop.type}${this.nullableSuffix(prop)} ${prop.name}`
+                : `required ${prop.type} ${prop.name}`;
+            return `    ${[...annotations, declaration].join(' ')}`;
+        }).join(',\n');
+
+        return `{\n${params},\n  }`;
+    }
+
+    generateFreezedFromJson(className) {
+        if (!this.options.generateToJson) return '';
+
+        return [
+            '',
+            `  factory ${className}.fromJson(Map<String, dynamic> json) => _$${className}FromJson(json);`
+        ].join('\n');
+    }
+
+    getJsonKeyDefault() {
+        // @Default already tells json_serializable the default value
+        return undefined;
+    }
+
+    getFreezedDefault(prop) {
+        // Field overrides win, then schema defaults; otherwise the "defaults" policy fills in the type's zero value
+        if (prop.defaultValue !== undefined) return prop.defaultValue;
+
+        const schemaDefault = this.toDefaultLiteral(prop, prop.node.defaultValue);
+        if (schemaDefault !== null) return schemaDefault;
+        if (!this.usesDefaults()) return null;
+
+        const defaultValue = this.getPolicyDefault(prop);
+        return defaultValue === null ? null : defaultValue.replace(/^const /, '');
+    }
+
+    toDefaultLiteral(prop, value) {
+        if (value === undefined || value === null || prop.special) return null;
+
+        if (this.isEnumType(prop.type)) {
+            const member = this.enumGenerator.buildMembers(this.enumTypes.get(prop.type))
+                .find(item => item.value === value);
+            return member ? `${prop.type}.${member.name}` : null;
+        }
+
+        if (Array.isArray(value)) return value.length === 0 ? '[]' : null;
+        if (typeof value === 'object') return Object.keys(value).length === 0 ? '{}' : null;
+        if (typeof value === 'number' && prop.type === 'double' && Number.isInteger(value)) return `${value}.0`;
+        if (['string', 'number', 'boolean'].includes(typeof value)) return this.enumGenerator.toLiteral(value);
+        return null;
+    }
+
+    getUnionKey(node) {
+        if (!node.variants) return null;
+        if (node.discriminator) return node.discriminator;
+
+        // Without a declared discriminator, a key holding one constant per variant acts as one
+        const candidates = node.variants[0].fields.map(field => field.key);
+        return candidates.find(key => node.variants.every(variant => this.getConstValue(variant, key) !== null)) || null;
+    }
+
+    getUnionValue(variant, unionKey) {
+        const value = this.getConstValue(variant, unionKey);
+        return value !== null ? String(value) : variant.title || null;
+    }
+
+    getConstValue(variant, key) {
+        const field = variant.fields.find(item => item.key === key);
+        if (!field || !Array.isArray(field.node.enumValues) || field.node.enumValues.length !== 1) return null;
+        return field.node.enumValues[0];
+    }
+
+    toConstructorName(value, usedNames) {
+        const className = this.toClassName(String(value)) || 'variant';
+        let name = className.charAt(0).toLowerCase() + className.slice(1);
+        if (/^[0-9]/.test(name) || this.isDartKeyword(name)) {
+            name = `variant${className}`;
+        }
+
+        let uniqueName = name;
+        let index = 2;
+        while (usedNames.has(uniqueName)) {
+            uniqueName = `${name}${index++}`;
+        }
+        usedNames.add(uniqueName);
+        return uniqueName;
+    }
+
+    capitalize(str) {
+        return str.charAt(0).toUpperCase() + str.slice(1);
+    }
+}
+
+export { FreezedGenerator };
\ No newline at end of file
@@ -0,0 +1,67 @@
+// Generator Registry - Output styles register their name, options schema and generate() entry point here
+class GeneratorRegistry {
+    constructor() {
+        this.generators = new Map();
+    }
+
+    register(plugin) {
+        // plugin: { id, name, description, options: [{ key, label, type, default, choices, tooltip, highlight }], generate }
+        if (!plugin || !/^[A-Za-z][\w-]*$/.test(plugin.id || '')) {
+            throw new Error('A generator needs an id of letters, digits, "-" or "_"');
+        }
+        if (typeof plugin.generate !== 'function') {
+            throw new Error(`Generator "${plugin.id}" has no generate() function`);
+        }
+
+        (plugin.options || []).forEach(option => this.validateOption(plugin.id, option));
+        this.generators.set(plugin.id, { name: plugin.id, description: '', options: [], ...plugin });
+        return this.generators.get(plugin.id);
+    }
+
+    validateOption(id, option) {
+        if (!option.key) {
+            throw new Error(`An option of generator "${id}" has no key`);
+        }
+        if (!['boolean', 'select', 'text', 'number'].includes(option.type)) {
+            throw new Error(`Option "${option.key}" of generator "${id}" has an unknown type "${option.type}"`);
+        }
+        if (option.type === 'select' && !(option.choices || []).length) {
+            throw new Error(`Option "${option.key}" of generator "${id}" needs choices`);
+        }
+    }
+
+    get(id) {
+        const plugin = this.generators.get(id);
+        if (!plugin) {
+            throw new Error(`Unknown generator "${id}"`);
+        }
+        return plugin;
+    }
+
+    has(id) {
+        return this.generators.has(id);
+    }
+
+    list() {
+        return [...this.generators.values()];
+    }
+
+    findOption(key) {
+        // Generators that share an option key share its meaning
+        for (const plugin of this.generators.values()) {
+            const option = plugin.options.find(item => item.key === key);
+            if (option) return option;
+        }
+        return null;
+    }
+
+    getDefaults(id) {
+        const defaults = {};
+        this.get(id).options.forEach(option => {
+            defaults[option.key] = option.default;
+        });
+        return defaults;
+    }
+}
+
+export { GeneratorRegistry };
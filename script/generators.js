@@ -0,0 +1,177 @@
+// Generators - The built-in output styles, registered with their options for the options panel, the config and the CLI
+import { GeneratorRegistry } from './generator-registry.js';
+import { JsonSamples } from './json-samples.js';
+import { JsonSchemaReader } from './json-schema-reader.js';
+import { DartGenerator } from './dart-generator.js';
+import { FreezedGenerator } from './freezed-generator.js';
+import { TemplateGenerator } from './template-generator.js';
+import { ModelNewGenerator } from './model-new-generator.js';
+import { QuickType } from './quicktype-mock.js';
+
+const dartGenerator = new DartGenerator();
+const freezedGenerator = new FreezedGenerator();
+const templateGenerator = new TemplateGenerator();
+const modelNewGenerator = new ModelNewGenerator();
+const jsonSchemaReader = new JsonSchemaReader();
+
+// Labels may use inline HTML; the options panel renders them as markup
+const options = {
+    generateToJson: { key: 'generateToJson', type: 'boolean', default: true, label: 'Generate `toJson` method' },
+    generateCopyWith: { key: 'generateCopyWith', type: 'boolean', default: true, label: 'Generate `copyWith` method' },
+    generateToString: { key: 'generateToString', type: 'boolean', default: true, label: 'Generate `toString` method' },
+    generateKeys: { key: 'generateKeys', type: 'boolean', default: true, label: 'Generate JSON keys' },
+    useNum: { key: 'useNum', type: 'boolean', default: false, label: 'Always use `num` type for number' },
+    useSerializable: { key: 'useSerializable', type: 'boolean', default: true, label: 'Use `JSONSerializable`' },
+    useEquatable: { key: 'useEquatable', type: 'boolean', default: true, label: 'Use `Equatable`' },
+    detectEnums: {
+        key: 'detectEnums', type: 'boolean', default: true, label: 'Detect enums',
+        tooltip: 'String fields with a small set of values, each seen about twice or more across at least 4 samples, become Dart enums with an unknown fallback'
+    },
+    detectSpecialTypes: {
+        key: 'detectSpecialTypes', type: 'boolean', default: true,
+        label: 'Detect `DateTime`, `Uri`, `Duration`',
+        tooltip: 'ISO dates, epoch milliseconds in *_at keys, URLs and *_ms / *_seconds keys get typed fields with parse and serialize code'
+    },
+    generateComment: {
+        key: 'generateComment', type: 'boolean', default: false, label: 'Generate json as comment',
+        tooltip: 'Generate json into model class as comment at the bottom of the file'
+    },
+    singletonPattern: {
+        key: 'singletonPattern', type: 'boolean', default: false, label: 'نمط Singleton', highlight: 'singleton-highlight',
+        tooltip: 'Generate singleton pattern with ClassName._() and static ClassName i'
+    },
+    localSave: {
+        key: 'localSave', type: 'boolean', default: true, label: 'حفظ البيانات لوكل', highlight: 'local-data-highlight',
+        tooltip: 'Generate save() method for local storage'
+    },
+    localClear: {
+        key: 'localClear', type: 'boolean', default: true, label: 'كلير البيانات لوكل', highlight: 'local-data-highlight',
+        tooltip: 'Generate clear() method for local storage'
+    },
+    localGet: {
+        key: 'localGet', type: 'boolean', default: true, label: 'جلب البيانات لوكل', highlight: 'local-data-highlight',
+        tooltip: 'Generate get() method for local storage'
+    },
+    storageBackend: {
+        key: 'storageBackend', type: 'select', default: 'prefs', label: 'Storage', highlight: 'local-data-highlight',
+        choices: [
+            { value: 'prefs', label: 'Prefs (profile calls)' },
+            { value: 'hive', label: 'Hive TypeAdapter' },
+            { value: 'sqflite', label: 'sqflite table + CRUD' },
+            { value: 'isar', label: 'Isar collection' }
+        ]
+    },
+    hiveTypeId: {
+        key: 'hiveTypeId', type: 'number', default: 0, label: 'Hive typeId', highlight: 'local-data-highlight',
+        tooltip: 'typeId of the generated Hive adapter; every adapter registered in an app needs its own'
+    }
+};
+
+function toSingleFile(className, content) {
+    return { fileName: `${dartGenerator.toFileName(className)}.dart`, content };
+}
+
+function generateWithDartGenerator(generator, className, documents, settings) {
+    // Shared by every generator built on DartGenerator's type extraction
+    generator.setOptions(settings);
+
+    // With the "infer" policy, "required" and "nullable" in a schema decide each field's nullability
+    const formattedJson = JsonSamples.format(documents);
+    const rootNode = settings.inputMode === 'schema'
+        ? jsonSchemaReader.read(documents[0])
+        : generator.inferRoot(JsonSamples.toSamples(documents));
+
+    let code;
+    let files;
+    if (settings.splitFiles) {
+        // One file per class; the single output shows them one after another under their file names
+        files = generator.buildDartFiles([{ className, node: rootNode }], formattedJson);
+        code = files.map(file => `// ${file.fileName}\n${file.content}`).join('\n\n');
+    } else {
+        code = generator.buildDartClass(className, rootNode, formattedJson);
+        files = [toSingleFile(className, code)];
+    }
+
+    return { code, files, fieldTable: generator.fieldTable, testModel: generator.getTestModel(className) };
+}
+
+const generatorRegistry = new GeneratorRegistry();
+
+generatorRegistry.register({
+    id: 'dart',
+    name: 'Dart class',
+    description: 'Immutable classes with fromJson, toJson, copyWith, json_serializable and Equatable',
+    options: [
+        options.generateToJson, options.generateCopyWith, options.generateToString, options.generateKeys,
+        options.useNum, options.useSerializable, options.useEquatable, options.detectEnums,
+        options.detectSpecialTypes, options.generateComment
+    ],
+    generate: (className, documents, settings) => generateWithDartGenerator(dartGenerator, className, documents, settings)
+});
+
+generatorRegistry.register({
+    id: 'freezed',
+    name: 'freezed',
+    description: '@freezed classes with factory constructors, @Default values and sealed unions for oneOf schemas',
+    options: [options.generateToJson, options.useNum, options.detectEnums, options.detectSpecialTypes, options.generateComment],
+    generate: (className, documents, settings) => generateWithDartGenerator(freezedGenerator, className, documents, settings)
+});
+
+generatorRegistry.register({
+    id: 'modelNew',
+    name: 'Model New',
+    description: 'Mutable classes on a base Model class with safe parsing helpers and local storage methods',
+    options: [
+        options.detectEnums, options.detectSpecialTypes, options.singletonPattern,
+        options.localSave, options.localClear, options.localGet, options.storageBackend, options.hiveTypeId
+    ],
+    generate(className, documents, settings) {
+        modelNewGenerator.setCurrentClassName(className);
+
+        let code;
+        if (settings.inputMode === 'schema') {
+            code = modelNewGenerator.generateFromNode(className, jsonSchemaReader.read(documents[0]), settings, documents[0]);
+        } else {
+            const jsonData = documents.length > 1 ? JsonSamples.toSamples(documents) : documents[0];
+            code = modelNewGenerator.generate(className, jsonData, settings);
+        }
+
+        return {
+            code,
+            files: [toSingleFile(className, code)],
+            fieldTable: modelNewGenerator.fieldTable,
+            testModel: modelNewGenerator.getTestModel(className, settings)
+        };
+    }
+});
+
+generatorRegistry.register({
+    id: 'template',
+    name: 'Custom template',
+    description: 'The template picked in the Template row, or the plain Dart template',
+    options: [options.useNum, options.detectEnums, options.detectSpecialTypes, options.generateComment],
+    generate(className, documents, settings) {
+        templateGenerator.setTemplate(settings.template);
+        return generateWithDartGenerator(templateGenerator, className, documents, settings);
+    }
+});
+
+generatorRegistry.register({
+    id: 'quicktype',
+    name: 'Quick class',
+    description: 'One flat class for the root object; nested objects stay maps',
+    options: [
+        options.generateToJson, options.generateCopyWith, options.generateToString, options.generateKeys,
+        options.useSerializable, options.useEquatable
+    ],
+    generate(className, documents, settings) {
+        if (settings.inputMode === 'schema') {
+            throw new Error('Quick class reads JSON samples only');
+        }
+
+        const code = QuickType.generateDartClass(className, JsonSamples.toSamples(documents), { ...settings, generateKey: settings.generateKeys });
+        return { code, files: [toSingleFile(className, code)], fieldTable: [], testModel: null };
+    }
+});
+
+export { generatorRegistry };
@@ -0,0 +1,102 @@
+// History Panel - Renders the versioned history sidebar: one item per class, its versions on demand
+class HistoryPanel {
+    constructor(container, handlers) {
+        this.container = container;
+        // onRestore(className, versionId), onPin(className, pinned), onRename(className), onDelete(className, versionId), onToggle()
+        this.handlers = handlers;
+        this.expanded = new Set();
+    }
+
+    render(entries, emptyText = 'No history yet') {
+        this.container.innerHTML = '';
+
+        if (entries.length === 0) {
+            this.container.innerHTML = `<div class="history-empty">${emptyText}</div>`;
+            return;
+        }
+
+        entries.forEach(entry => this.container.appendChild(this.renderEntry(entry)));
+    }
+
+    renderEntry(entry) {
+        const item = document.createElement('div');
+        item.className = `history-item${entry.pinned ? ' pinned' : ''}`;
+
+        const header = document.createElement('div');
+        header.className = 'history-item-header';
+
+        const name = document.createElement('span');
+        name.className = 'history-item-name';
+        name.textContent = entry.className;
+        name.title = `Click to load the latest version of ${entry.className}`;
+        name.addEventListener('click', () => this.handlers.onRestore(entry.className, entry.versions[0].id));
+
+        const versions = this.createButton(
+            `${entry.versions.length}`,
+            `${entry.versions.length} version(s), click to ${this.expanded.has(entry.className) ? 'hide' : 'show'} them`,
+            () => this.toggle(entry.className)
+        );
+        header.append(
+            name,
+            versions,
+            this.createButton(entry.pinned ? '★' : '☆', entry.pinned ? 'Unpin' : 'Pin to the top', () => this.handlers.onPin(entry.className, !entry.pinned)),
+            this.createButton('✎', 'Rename', () => this.handlers.onRename(entry.className)),
+            this.createButton('×', 'Delete every version', () => this.handlers.onDelete(entry.className))
+        );
+        item.appendChild(header);
+
+        if (this.expanded.has(entry.className)) {
+            const list = document.createElement('div');
+            list.className = 'history-versions';
+            entry.versions.forEach(version => list.appendChild(this.renderVersion(entry, version)));
+            item.appendChild(list);
+        }
+
+        return item;
+    }
+
+    renderVersion(entry, version) {
+        const row = document.createElement('div');
+        row.className = 'history-version';
+
+        const label = document.createElement('span');
+        label.className = 'history-version-label';
+        label.textContent = new Date(version.timestamp).toLocaleString();
+        label.title = 'Click to restore this version with the options it was generated with';
+        label.addEventListener('click', () => this.handlers.onRestore(entry.className, version.id));
+
+        row.append(label, this.createButton('×', 'Delete this version', () => this.handlers.onDelete(entry.className, version.id)));
+        return row;
+    }
+
+    createButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'history-btn';
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', event => {
+            event.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    toggle(className) {
+        if (this.expanded.has(className)) {
+            this.expanded.delete(className);
+        } else {
+            this.expanded.add(className);
+        }
+        this.handlers.onToggle();
+    }
+
+    rename(oldName, newName) {
+        // Keeps a renamed class expanded
+        if (this.expanded.delete(oldName)) {
+            this.expanded.add(newName);
+        }
+    }
+}
+
+export { HistoryPanel };
@@ -0,0 +1,363 @@
+// History Store - Timestamped versions of every converted class in IndexedDB, grouped in workspaces, with pins, renames and search
+class HistoryStore {
+    constructor(databaseName = 'dart-converter', maxClasses = 500, maxVersions = 50) {
+        this.databaseName = databaseName;
+        this.storeName = 'entries';
+        this.workspaceStoreName = 'workspaces';
+        this.maxClasses = maxClasses;
+        this.maxVersions = maxVersions;
+        // Reads come from these copies; every change is written through to IndexedDB
+        this.entries = [];
+        this.workspaces = [];
+        // Class operations apply to the entries of the current workspace only
+        this.workspace = HistoryStore.defaultWorkspace.id;
+        this.db = null;
+    }
+
+    static get defaultWorkspace() {
+        // Holds everything converted before workspaces existed
+        return { id: 'default', name: 'Default', config: null };
+    }
+
+    static get legacyKeys() {
+        // The sidebar and HistoryManager kept separate localStorage histories before IndexedDB
+        return ['dart-converter-history', 'dart_converter_history'];
+    }
+
+    open(workspaceId) {
+        return this.openDatabase()
+            .then(db => {
+                this.db = db;
+                const transaction = this.db.transaction([this.storeName, this.workspaceStoreName]);
+                return Promise.all([
+                    this.request(transaction.objectStore(this.storeName).getAll()),
+                    this.request(transaction.objectStore(this.workspaceStoreName).getAll())
+                ]);
+            })
+            .then(([records, workspaces]) => {
+                this.entries = HistoryStore.normalize(records);
+                this.workspaces = workspaces;
+                return this.migrateLegacy();
+            })
+            .then(() => this.openWorkspace(workspaceId), error => {
+                // Without IndexedDB the history only lives in memory, read from the old keys but not moved
+                this.db = null;
+                return this.migrateLegacy().then(() => {
+                    this.openWorkspace(workspaceId);
+                    throw error;
+                });
+            })
+            .then(() => this);
+    }
+
+    openWorkspace(workspaceId) {
+        // A new database starts with the default workspace
+        const created = this.workspaces.length === 0;
+        if (created) this.workspaces.push(HistoryStore.defaultWorkspace);
+        this.setWorkspace(workspaceId);
+        return created ? this.write({ workspaces: this.workspaces }) : Promise.resolve();
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(this.databaseName, 2);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const entries = db.createObjectStore(this.storeName, { keyPath: ['workspace', 'className'] });
+                db.createObjectStore(this.workspaceStoreName, { keyPath: 'id' });
+
+                // Version 1 kept one record per class in "history"; those classes move to the default workspace
+                if (db.objectStoreNames.contains('history')) {
+                    request.transaction.objectStore('history').getAll().onsuccess = event => {
+                        event.target.result.forEach(entry => entries.put({ ...entry, workspace: HistoryStore.defaultWorkspace.id }));
+                        db.deleteObjectStore('history');
+                    };
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    write({ entries = [], removedEntries = [], workspaces = [], removedWorkspaces = [] }) {
+        // One transaction per change, so a rename never leaves both names behind
+        if (!this.db) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName, this.workspaceStoreName], 'readwrite');
+            const entryStore = transaction.objectStore(this.storeName);
+            const workspaceStore = transaction.objectStore(this.workspaceStoreName);
+            removedEntries.forEach(entry => entryStore.delete([entry.workspace, entry.className]));
+            entries.forEach(entry => entryStore.put(entry));
+            removedWorkspaces.forEach(id => workspaceStore.delete(id));
+            workspaces.forEach(workspace => workspaceStore.put(workspace));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    migrateLegacy() {
+        // Each localStorage key is merged in once and removed only after IndexedDB holds the data
+        return HistoryStore.legacyKeys.reduce((previous, key) => previous.then(() => {
+            const saved = localStorage.getItem(key);
+            if (!saved) return undefined;
+
+            let parsed;
+            try {
+                parsed = JSON.parse(saved);
+            } catch {
+                return undefined;
+            }
+            return this.merge(parsed, HistoryStore.defaultWorkspace.id).then(() => {
+                if (this.db) localStorage.removeItem(key);
+            });
+        }), Promise.resolve());
+    }
+
+    static normalize(saved, workspaceId) {
+        // Older histories kept one payload per class: an array of entries in the sidebar,
+        // an object keyed by class name in HistoryManager. A workspace id overrides the saved one.
+        const items = Array.isArray(saved) ? saved : Object.values(saved || {});
+        const entries = [];
+        items.forEach(item => {
+            if (!item || typeof item.className !== 'string') return;
+            const workspace = workspaceId || item.workspace || HistoryStore.defaultWorkspace.id;
+            const versions = Array.isArray(item.versions)
+                ? item.versions
+                : [{ id: `version-${item.timestamp}`, jsonString: item.jsonString, overrides: item.overrides, timestamp: item.timestamp }];
+
+            const existing = entries.find(entry => entry.workspace === workspace && entry.className === item.className);
+            if (existing) {
+                existing.versions.push(...versions);
+            } else {
+                entries.push({ workspace, className: item.className, pinned: Boolean(item.pinned), versions: [...versions] });
+            }
+        });
+
+        entries.forEach(entry => {
+            entry.versions = entry.versions
+                .filter(version => typeof version.jsonString === 'string')
+                .map(version => ({ ...version, timestamp: new Date(version.timestamp).getTime() || 0 }))
+                .sort((a, b) => b.timestamp - a.timestamp);
+        });
+        return entries.filter(entry => entry.versions.length > 0);
+    }
+
+    list(query = '', workspaceId = this.workspace) {
+        // Pinned classes first, then the most recently converted; the query matches names and payloads
+        const search = query.trim().toLowerCase();
+        return this.entries
+            .filter(entry => entry.workspace === workspaceId)
+            .filter(entry => !search
+                || entry.className.toLowerCase().includes(search)
+                || entry.versions.some(version => version.jsonString.toLowerCase().includes(search)))
+            .sort((a, b) => Number(b.pinned) - Number(a.pinned) || b.versions[0].timestamp - a.versions[0].timestamp);
+    }
+
+    get(className, workspaceId = this.workspace) {
+        return this.entries.find(entry => entry.workspace === workspaceId && entry.className === className) || null;
+    }
+
+    getVersion(className, versionId) {
+        const entry = this.get(className);
+        if (!entry) return null;
+        return versionId ? entry.versions.find(version => version.id === versionId) || null : entry.versions[0];
+    }
+
+    add(className, version) {
+        let entry = this.get(className);
+        if (!entry) {
+            entry = { workspace: this.workspace, className, pinned: false, versions: [] };
+            this.entries.push(entry);
+        }
+
+        const timestamp = Date.now();
+        const latest = entry.versions[0];
+        if (latest && HistoryStore.isSameVersion(latest, version)) {
+            // Converting the same payload with the same options again only refreshes the timestamp
+            Object.assign(latest, version, { timestamp });
+        } else {
+            entry.versions.unshift({ ...version, id: `version-${timestamp}-${entry.versions.length}`, timestamp });
+            entry.versions = entry.versions.slice(0, this.maxVersions);
+        }
+
+        return this.write({ entries: [entry], removedEntries: this.trim(this.workspace) });
+    }
+
+    static isSameVersion(a, b) {
+        return a.jsonString === b.jsonString && JSON.stringify(a.config) === JSON.stringify(b.config);
+    }
+
+    trim(workspaceId) {
+        // Each workspace keeps up to maxClasses; pinned classes are never dropped to make room
+        const entries = this.list('', workspaceId);
+        const excess = entries.length - this.maxClasses;
+        if (excess <= 0) return [];
+
+        const dropped = new Set(entries.filter(entry => !entry.pinned).slice(-excess));
+        this.entries = this.entries.filter(entry => !dropped.has(entry));
+        return [...dropped];
+    }
+
+    setPinned(className, pinned) {
+        const entry = this.get(className);
+        if (!entry) return Promise.resolve();
+        entry.pinned = pinned;
+        return this.write({ entries: [entry] });
+    }
+
+    rename(className, newName) {
+        const name = newName.trim();
+        if (!name) {
+            return Promise.reject(new Error('A class name cannot be empty'));
+        }
+        if (name !== className && this.get(name)) {
+            return Promise.reject(new Error(`"${name}" is already in the history`));
+        }
+
+        const entry = this.get(className);
+        if (!entry) return Promise.resolve();
+        entry.className = name;
+        return this.write({ entries: [entry], removedEntries: [{ workspace: entry.workspace, className }] });
+    }
+
+    remove(className, versionId) {
+        // Without a version id the whole class goes, as does a class whose last version is removed
+        const entry = this.get(className);
+        if (!entry) return Promise.resolve();
+
+        if (versionId) {
+            entry.versions = entry.versions.filter(version => version.id !== versionId);
+        }
+        if (!versionId || entry.versions.length === 0) {
+            this.entries = this.entries.filter(item => item !== entry);
+            return this.write({ removedEntries: [entry] });
+        }
+        return this.write({ entries: [entry] });
+    }
+
+    clear() {
+        const removed = this.list();
+        this.entries = this.entries.filter(entry => entry.workspace !== this.workspace);
+        return this.write({ removedEntries: removed });
+    }
+
+    merge(saved, workspaceId = this.workspace) {
+        // Imported versions join the existing ones; versions already present are skipped by id
+        const changed = HistoryStore.normalize(saved, workspaceId).map(imported => {
+            const entry = this.get(imported.className, workspaceId);
+            if (!entry) {
+                this.entries.push(imported);
+                return imported;
+            }
+            const ids = new Set(entry.versions.map(version => version.id));
+            entry.versions = [...entry.versions, ...imported.versions.filter(version => !ids.has(version.id))]
+                .sort((a, b) => b.timestamp - a.timestamp)
+                .slice(0, this.maxVersions);
+            entry.pinned = entry.pinned || imported.pinned;
+            return entry;
+        });
+
+        const dropped = this.trim(workspaceId);
+        return this.write({ entries: changed.filter(entry => !dropped.includes(entry)), removedEntries: dropped });
+    }
+
+    getWorkspace(id = this.workspace) {
+        return this.workspaces.find(workspace => workspace.id === id) || null;
+    }
+
+    setWorkspace(id) {
+        // A missing or unknown id, like one saved for a workspace since deleted, falls back to the first
+        const workspace = this.workspaces.find(item => item.id === id) || this.workspaces[0];
+        this.workspace = workspace.id;
+        return workspace;
+    }
+
+    checkWorkspaceName(name, id) {
+        if (!name) {
+            return new Error('A workspace name cannot be empty');
+        }
+        if (this.workspaces.some(workspace => workspace.name === name && workspace.id !== id)) {
+            return new Error(`A workspace named "${name}" already exists`);
+        }
+        return null;
+    }
+
+    createWorkspace(newName, config = null) {
+        const name = newName.trim();
+        const error = this.checkWorkspaceName(name);
+        if (error) return Promise.reject(error);
+
+        const workspace = { id: `workspace-${Date.now()}-${this.workspaces.length}`, name, config };
+        this.workspaces.push(workspace);
+        return this.write({ workspaces: [workspace] }).then(() => workspace);
+    }
+
+    renameWorkspace(id, newName) {
+        const name = newName.trim();
+        const error = this.checkWorkspaceName(name, id);
+        if (error) return Promise.reject(error);
+
+        const workspace = this.getWorkspace(id);
+        if (!workspace) return Promise.resolve();
+        workspace.name = name;
+        return this.write({ workspaces: [workspace] });
+    }
+
+    saveWorkspaceConfig(config, id = this.workspace) {
+        // The generator options and base-class profile last used in the workspace
+        const workspace = this.getWorkspace(id);
+        if (!workspace) return Promise.resolve();
+        workspace.config = config;
+        return this.write({ workspaces: [workspace] });
+    }
+
+    removeWorkspace(id) {
+        // The last workspace stays so there is always somewhere to save to
+        if (this.workspaces.length <= 1) {
+            return Promise.reject(new Error('The last workspace cannot be deleted'));
+        }
+
+        const removed = this.list('', id);
+        this.entries = this.entries.filter(entry => entry.workspace !== id);
+        this.workspaces = this.workspaces.filter(workspace => workspace.id !== id);
+        this.setWorkspace(this.workspace);
+        return this.write({ removedEntries: removed, removedWorkspaces: [id] });
+    }
+
+    exportWorkspace(id = this.workspace) {
+        // Entries leave without their workspace id, which is assigned again on import
+        const workspace = this.getWorkspace(id);
+        return {
+            workspace: { name: workspace.name, config: workspace.config },
+            history: this.list('', id).map(entry => ({ className: entry.className, pinned: entry.pinned, versions: entry.versions }))
+        };
+    }
+
+    importWorkspace(data) {
+        // A workspace with the same name takes the imported options and gains its history
+        if (!data || !data.workspace || typeof data.workspace.name !== 'string') {
+            return Promise.reject(new Error('Not a workspace export'));
+        }
+
+        const existing = this.workspaces.find(workspace => workspace.name === data.workspace.name.trim());
+        const ready = existing
+            ? this.saveWorkspaceConfig(data.workspace.config || existing.config, existing.id).then(() => existing)
+            : this.createWorkspace(data.workspace.name, data.workspace.config || null);
+        return ready.then(workspace => this.merge(data.history || [], workspace.id).then(() => workspace));
+    }
+}
+
+export { HistoryStore };
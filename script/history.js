@@ -1,229 +1,230 @@
-// History management functionality
+// History Manager - The conversion history: versions per class in IndexedDB, grouped in workspaces, shown in the sidebar with search and export/import
+import { HistoryStore } from './history-store.js';
+import { HistoryPanel } from './history-panel.js';
+
 class HistoryManager {
-    constructor() {
-        this.storageKey = 'dart_converter_history';
-        this.maxHistoryItems = 50;
+    constructor(elements, handlers) {
+        // handlers: onRestore(className, version), onWorkspaceChange(workspace), getConfig(), onMessage(message, isError)
+        this.handlers = handlers;
+        this.searchInput = elements.search;
+        this.importInput = elements.importInput;
+        this.workspaceSelect = elements.workspaceSelect;
+        this.workspaceKey = 'dart-converter-workspace';
+        this.store = new HistoryStore();
+        this.panel = new HistoryPanel(elements.list, {
+            onRestore: (className, versionId) => this.selectHistory(className, versionId),
+            onPin: (className, pinned) => this.pinHistoryItem(className, pinned),
+            onRename: className => this.renameHistoryItem(className),
+            onDelete: (className, versionId) => this.deleteHistoryItem(className, versionId),
+            onToggle: () => this.renderHistory()
+        });
+
+        this.searchInput.addEventListener('input', () => this.renderHistory());
+        elements.exportButton.addEventListener('click', () => this.exportHistory());
+        elements.importButton.addEventListener('click', () => this.importInput.click());
+        elements.clearButton.addEventListener('click', () => this.clearHistory());
+        this.importInput.addEventListener('change', () => this.importHistory(this.importInput.files[0]));
+        this.workspaceSelect.addEventListener('change', () => this.switchWorkspace(this.workspaceSelect.value));
+        elements.workspaceNewButton.addEventListener('click', () => this.createWorkspace());
+        elements.workspaceRenameButton.addEventListener('click', () => this.renameWorkspace());
+        elements.workspaceDeleteButton.addEventListener('click', () => this.deleteWorkspace());
     }
 
-    getHistory() {
-        try {
-            const history = localStorage.getItem(this.storageKey);
-            return JSON.parse(history || '{}');
-        } catch (error) {
-            console.error('Error parsing history:', error);
-            return {};
-        }
+    open() {
+        // The saved history, including the old localStorage ones, shows once IndexedDB has loaded it.
+        // The last workspace is reopened as it was left, so its options are already in the form.
+        this.renderHistory();
+        return this.store.open(localStorage.getItem(this.workspaceKey))
+            .catch(error => this.handlers.onMessage(`History is kept for this session only: ${error.message}`, true))
+            .then(() => {
+                this.renderWorkspaces();
+                this.renderHistory();
+            });
     }
 
-    saveToHistory(className, jsonString) {
-        try {
-            const history = this.getHistory();
-            const timestamp = new Date().toISOString();
-
-            // Create history entry
-            history[className] = {
-                className,
-                jsonString,
-                timestamp,
-                preview: this.generatePreview(jsonString)
-            };
-
-            // Limit history size
-            const entries = Object.entries(history);
-            if (entries.length > this.maxHistoryItems) {
-                // Sort by timestamp and keep only the most recent items
-                entries.sort((a, b) => new Date(b[1].timestamp) - new Date(a[1].timestamp));
-                const limitedHistory = {};
-                entries.slice(0, this.maxHistoryItems).forEach(([key, value]) => {
-                    limitedHistory[key] = value;
-                });
-                localStorage.setItem(this.storageKey, JSON.stringify(limitedHistory));
-            } else {
-                localStorage.setItem(this.storageKey, JSON.stringify(history));
-            }
-
-            this.renderHistory();
-        } catch (error) {
-            console.error('Error saving to history:', error);
-        }
+    persist(change, message) {
+        // The list updates at once; a failed write is reported, not rolled back
+        this.renderHistory();
+        return change
+            .then(() => {
+                if (message) this.handlers.onMessage(message, false);
+            })
+            .catch(error => this.handlers.onMessage(`Error saving history: ${error.message}`, true));
     }
 
-    generatePreview(jsonString) {
-        try {
-            const obj = JSON.parse(jsonString);
-            const keys = Object.keys(obj).slice(0, 3);
-            return keys.length > 0 ? keys.join(', ') + (Object.keys(obj).length > 3 ? '...' : '') : 'Empty';
-        } catch {
-            return 'Invalid JSON';
-        }
+    saveToHistory(className, version) {
+        // version: jsonString plus the config and output it was generated with, which the workspace keeps too
+        return this.persist(Promise.all([
+            this.store.add(className, version),
+            this.store.saveWorkspaceConfig(version.config)
+        ]));
     }
 
-    renderHistory() {
-        const historyContainer = document.getElementById('history');
-        const history = this.getHistory();
-
-        if (!historyContainer) return;
+    getVersions(className) {
+        const entry = this.store.get(className);
+        return entry ? entry.versions : [];
+    }
 
-        // Sort history by timestamp (newest first)
-        const sortedEntries = Object.entries(history).sort((a, b) =>
-            new Date(b[1].timestamp) - new Date(a[1].timestamp)
-        );
+    renderWorkspaces() {
+        this.workspaceSelect.innerHTML = '';
+        this.store.workspaces.forEach(workspace => {
+            this.workspaceSelect.add(new Option(workspace.name, workspace.id, false, workspace.id === this.store.workspace));
+        });
+    }
 
-        if (sortedEntries.length === 0) {
-            historyContainer.innerHTML = '<p class="text-muted">No history yet</p>';
-            return;
-        }
+    switchWorkspace(id) {
+        // The options in the form belong to the workspace being left; the new one brings its own
+        if (id === this.store.workspace) return Promise.resolve();
 
-        historyContainer.innerHTML = sortedEntries.map(([key, entry]) => `
-            <button type="button" 
-                    class="list-group-item list-group-item-action" 
-                    onclick="historyManager.selectHistory('${key}')"
-                    title="${entry.preview}">
-                <div class="d-flex justify-content-between align-items-start">
-                    <div class="flex-grow-1">
-                        <strong>${entry.className}</strong>
-                        <br>
-                        <small class="text-muted">${entry.preview}</small>
-                    </div>
-                    <button type="button" 
-                            class="btn btn-sm btn-outline-danger ms-2" 
-                            onclick="event.stopPropagation(); historyManager.deleteHistoryItem('${key}')"
-                            title="Delete">
-                        ×
-                    </button>
-                </div>
-                <small class="text-muted d-block mt-1">
-                    ${this.formatTimestamp(entry.timestamp)}
-                </small>
-            </button>
-        `).join('');
-    }
-
-    selectHistory(className) {
-        const history = this.getHistory();
-        const entry = history[className];
-
-        if (!entry) return;
-
-        // Populate form fields
-        const classNameInput = document.getElementById('class-name');
-        const jsonInput = document.getElementById('json-input');
-
-        if (classNameInput) classNameInput.value = entry.className;
-        if (jsonInput) {
-            jsonInput.value = entry.jsonString;
-            // Format JSON for better readability
-            try {
-                const formatted = JSON.stringify(JSON.parse(entry.jsonString), null, 2);
-                jsonInput.value = formatted;
-            } catch (error) {
-                jsonInput.value = entry.jsonString;
-            }
+        const saved = this.store.saveWorkspaceConfig(this.handlers.getConfig());
+        const workspace = this.store.setWorkspace(id);
+        localStorage.setItem(this.workspaceKey, workspace.id);
+        this.searchInput.value = '';
+        this.renderWorkspaces();
+        this.renderHistory();
+        if (workspace.config) {
+            this.handlers.onWorkspaceChange(workspace);
         }
+        return this.persist(saved, `Workspace: ${workspace.name}`);
+    }
 
-        // Clear output
-        const dartOutput = document.getElementById('dart-output');
-        if (dartOutput) dartOutput.value = '';
+    createWorkspace() {
+        const name = prompt('Name of the new workspace:');
+        if (name === null) return Promise.resolve();
 
-        // Show feedback
-        this.showNotification(`Loaded: ${className}`, 'success');
+        // A new workspace starts from the current options and an empty history
+        return this.store.createWorkspace(name, this.handlers.getConfig())
+            .then(workspace => this.switchWorkspace(workspace.id))
+            .catch(error => this.handlers.onMessage('Error: ' + error.message, true));
     }
 
-    deleteHistoryItem(className) {
-        if (!confirm(`Delete "${className}" from history?`)) return;
+    renameWorkspace() {
+        const workspace = this.store.getWorkspace();
+        const name = prompt(`Rename the workspace "${workspace.name}" to:`, workspace.name);
+        if (name === null || name.trim() === workspace.name) return Promise.resolve();
 
-        const history = this.getHistory();
-        delete history[className];
-        localStorage.setItem(this.storageKey, JSON.stringify(history));
-        this.renderHistory();
-        this.showNotification(`Deleted: ${className}`, 'info');
+        return this.store.renameWorkspace(workspace.id, name)
+            .then(() => this.renderWorkspaces())
+            .catch(error => this.handlers.onMessage('Error: ' + error.message, true));
     }
 
-    clearHistory() {
-        if (!confirm('Clear all history? This cannot be undone.')) return;
+    deleteWorkspace() {
+        const workspace = this.store.getWorkspace();
+        if (this.store.workspaces.length <= 1) {
+            this.handlers.onMessage('Error: The last workspace cannot be deleted', true);
+            return Promise.resolve();
+        }
+        if (!confirm(`Delete the workspace "${workspace.name}" and all its history?`)) return Promise.resolve();
+
+        const removed = this.store.removeWorkspace(workspace.id);
+        const current = this.store.getWorkspace();
+        localStorage.setItem(this.workspaceKey, current.id);
+        this.renderWorkspaces();
+        if (current.config) {
+            this.handlers.onWorkspaceChange(current);
+        }
+        return this.persist(removed, `Deleted workspace: ${workspace.name}`);
+    }
 
-        localStorage.removeItem(this.storageKey);
-        this.renderHistory();
-        this.showNotification('History cleared', 'info');
+    renderHistory() {
+        const query = this.searchInput.value;
+        this.panel.render(this.store.list(query), query.trim() ? 'No matching classes' : 'No history yet');
     }
 
-    formatTimestamp(timestamp) {
-        try {
-            const date = new Date(timestamp);
-            const now = new Date();
-            const diffMs = now - date;
-            const diffMins = Math.floor(diffMs / 60000);
-            const diffHours = Math.floor(diffMs / 3600000);
-            const diffDays = Math.floor(diffMs / 86400000);
-
-            if (diffMins < 1) return 'Just now';
-            if (diffMins < 60) return `${diffMins}m ago`;
-            if (diffHours < 24) return `${diffHours}h ago`;
-            if (diffDays < 7) return `${diffDays}d ago`;
-
-            return date.toLocaleDateString();
-        } catch {
-            return 'Unknown';
+    selectHistory(className, versionId) {
+        const version = this.store.getVersion(className, versionId);
+        if (version) {
+            this.handlers.onRestore(className, version);
         }
     }
 
-    showNotification(message, type = 'info') {
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.className = `alert alert-${type} alert-dismissible fade show position-fixed`;
-        notification.style.cssText = 'top: 20px; right: 20px; z-index: 1050; min-width: 300px;';
-        notification.innerHTML = `
-            ${message}
-            <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
-        `;
+    pinHistoryItem(className, pinned) {
+        return this.persist(this.store.setPinned(className, pinned));
+    }
+
+    renameHistoryItem(className) {
+        const name = prompt(`Rename "${className}" in the history to:`, className);
+        if (name === null || name.trim() === className) return Promise.resolve();
+
+        return this.store.rename(className, name)
+            .then(() => {
+                this.panel.rename(className, name.trim());
+                this.renderHistory();
+            })
+            .catch(error => this.handlers.onMessage('Error: ' + error.message, true));
+    }
 
-        document.body.appendChild(notification);
+    deleteHistoryItem(className, versionId) {
+        const message = versionId ? `Delete this version of "${className}"?` : `Delete "${className}" and all its versions?`;
+        if (!confirm(message)) return Promise.resolve();
 
-        // Auto remove after 3 seconds
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.remove();
-            }
-        }, 3000);
+        return this.persist(this.store.remove(className, versionId), `Deleted: ${className}`);
+    }
+
+    clearHistory() {
+        if (!confirm(`Clear all history of "${this.store.getWorkspace().name}"? This cannot be undone.`)) return Promise.resolve();
+
+        return this.persist(this.store.clear(), 'History cleared');
     }
 
     exportHistory() {
-        const history = this.getHistory();
-        const dataStr = JSON.stringify(history, null, 2);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+        // One file per workspace: its name, its current options and its history
+        this.persist(this.store.saveWorkspaceConfig(this.handlers.getConfig()));
+        const workspace = this.store.exportWorkspace();
+        const dataStr = JSON.stringify(workspace, null, 2);
+        const url = URL.createObjectURL(new Blob([dataStr], { type: 'application/json' }));
 
         const link = document.createElement('a');
-        link.href = URL.createObjectURL(dataBlob);
-        link.download = 'dart_converter_history.json';
+        link.href = url;
+        link.download = `${workspace.workspace.name.replace(/[^\w-]+/g, '_')}.workspace.json`;
         link.click();
+        URL.revokeObjectURL(url);
     }
 
     importHistory(file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const importedHistory = JSON.parse(e.target.result);
-                const currentHistory = this.getHistory();
-                const mergedHistory = { ...currentHistory, ...importedHistory };
-
-                localStorage.setItem(this.storageKey, JSON.stringify(mergedHistory));
-                this.renderHistory();
-                this.showNotification('History imported successfully', 'success');
-            } catch (error) {
-                this.showNotification('Error importing history: Invalid file format', 'danger');
-            }
-        };
-        reader.readAsText(file);
+        if (!file) return Promise.resolve();
+
+        // A workspace export opens as its workspace; plain history exports, including those from
+        // before versioned history, are merged into the current one
+        return file.text()
+            .then(text => {
+                const data = this.parseImport(text);
+                if (!data) {
+                    this.handlers.onMessage('Error importing history: Invalid file format', true);
+                    return undefined;
+                }
+                if (Array.isArray(data) || !data.workspace) {
+                    return this.persist(this.store.merge(data), `Imported ${file.name}`);
+                }
+                return this.store.importWorkspace(data).then(workspace => {
+                    if (workspace.id !== this.store.workspace) {
+                        return this.switchWorkspace(workspace.id);
+                    }
+                    this.renderHistory();
+                    if (workspace.config) {
+                        this.handlers.onWorkspaceChange(workspace);
+                    }
+                    return undefined;
+                });
+            })
+            .catch(error => this.handlers.onMessage(`Error importing history: ${error.message}`, true))
+            .finally(() => {
+                this.importInput.value = '';
+            });
     }
-}
-
-// Initialize history manager
-const historyManager = new HistoryManager();
 
-// Make it available globally
-window.historyManager = historyManager;
+    parseImport(text) {
+        // Returns null for anything that is neither a history nor a workspace export
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            return null;
+        }
+        if (!data || typeof data !== 'object') return null;
+        if (!Array.isArray(data) && data.workspace && typeof data.workspace.name !== 'string') return null;
+        return data;
+    }
+}
 
-// Initialize when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    historyManager.renderHistory();
-});
\ No newline at end of file
+export { HistoryManager };
@@ -0,0 +1,25 @@
+// Generators - Everything that turns JSON into Dart, without the browser UI, for Node scripts and the CLI
+export { JsonSamples } from './json-samples.js';
+export { TypeInference } from './type-inference.js';
+export { JsonSchemaReader } from './json-schema-reader.js';
+export { DartSpecialTypes } from './special-types.js';
+export { KeyMapper } from './key-mapper.js';
+export { FieldOverrides } from './field-overrides.js';
+export { DartGenerator } from './dart-generator.js';
+export { FreezedGenerator } from './freezed-generator.js';
+export { DartEnumGenerator } from './enum-generator.js';
+export { TemplateEngine } from './template-engine.js';
+export { TemplateGenerator } from './template-generator.js';
+export { StorageBackends } from './storage-backends.js';
+export { ModelNewGenerator } from './model-new-generator.js';
+export { DartTestGenerator } from './test-generator.js';
+export { DartClassReader } from './dart-class-reader.js';
+export { DartReverseGenerator } from './reverse-generator.js';
+export { SchemaDiff } from './schema-diff.js';
+export { OpenApiImporter } from './openapi-importer.js';
+export { GeneratorRegistry } from './generator-registry.js';
+export { generatorRegistry } from './generators.js';
+export { ModelConverter } from './model-converter.js';
+export { ProjectConfig } from './project-config.js';
+export { ZipWriter } from './zip-writer.js';
+export { QuickType } from './quicktype-mock.js';
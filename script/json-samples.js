@@ -0,0 +1,85 @@
+// JSON Samples - Splits pasted input into one or more JSON documents
+class JsonSamples {
+    static parse(text) {
+        const trimmed = text.trim();
+        if (!trimmed) {
+            throw new Error('No JSON documents found');
+        }
+
+        // A single well-formed document is the common case
+        try {
+            return [JSON.parse(trimmed)];
+        } catch (error) {
+            const blocks = this.splitDocuments(trimmed);
+            if (blocks.length < 2) {
+                throw error;
+            }
+            return blocks.map((block, index) => {
+                try {
+                    return JSON.parse(block);
+                } catch (blockError) {
+                    throw new Error(`Sample ${index + 1}: ${blockError.message}`);
+                }
+            });
+        }
+    }
+
+    static splitDocuments(text) {
+        // Newline-delimited JSON and back-to-back pasted blocks are both handled by
+        // cutting the text wherever a top-level object or array closes
+        const blocks = [];
+        let depth = 0;
+        let start = -1;
+        let inString = false;
+        let escaped = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                } else if (char === '\\') {
+                    escaped = true;
+                } else if (char === '"') {
+                    inString = false;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                inString = true;
+            } else if (char === '{' || char === '[') {
+                if (depth === 0) start = i;
+                depth++;
+            } else if (char === '}' || char === ']') {
+                depth--;
+                if (depth === 0) {
+                    blocks.push(text.slice(start, i + 1));
+                    start = -1;
+                } else if (depth < 0) {
+                    throw new Error(`Unexpected '${char}' at position ${i}`);
+                }
+            } else if (depth === 0 && !/[\s,]/.test(char)) {
+                throw new Error(`Unexpected '${char}' between samples at position ${i}`);
+            }
+        }
+
+        if (depth !== 0) {
+            throw new Error('Unexpected end of JSON input');
+        }
+
+        return blocks;
+    }
+
+    static toSamples(documents) {
+        // Top-level arrays contribute each of their elements as a sample
+        return documents.flatMap(doc => Array.isArray(doc) ? doc : [doc]);
+    }
+
+    static format(documents) {
+        return documents.map(doc => JSON.stringify(doc, null, 2)).join('\n\n');
+    }
+}
+
+export { JsonSamples };
\ No newline at end of file
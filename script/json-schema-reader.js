@@ -0,0 +1,300 @@
+// JSON Schema Reader - Converts draft-07 / 2020-12 schemas into the inferred type tree
+import { TypeInference } from './type-inference.js';
+
+class JsonSchemaReader {
+    constructor() {
+        this.typeInference = new TypeInference();
+    }
+
+    read(schema) {
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+            throw new Error('JSON Schema must be an object');
+        }
+
+        this.load(schema);
+
+        let rootNode = this.readSchema(schema);
+
+        // A top-level array schema describes a list of the model
+        if (rootNode.kind === 'array' && rootNode.items) {
+            rootNode = rootNode.items;
+        }
+
+        if (rootNode.kind !== 'object') {
+            throw new Error('Root schema must describe an object or an array of objects');
+        }
+
+        return rootNode;
+    }
+
+    load(document) {
+        // $ref values are resolved against this document
+        this.root = document;
+        this.refCache = new Map();
+    }
+
+    readDefinitions(pointer) {
+        // Reads every schema under e.g. #/components/schemas or #/$defs of the loaded document
+        const container = this.resolvePointer(pointer) || {};
+        return Object.keys(container).map(name => ({
+            name,
+            node: this.resolveRef(`${pointer}/${name.replace(/~/g, '~0').replace(/\//g, '~1')}`)
+        }));
+    }
+
+    isSchema(value) {
+        // Heuristic used to tell a schema document apart from a plain JSON sample
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+        if (typeof value.$schema === 'string') return true;
+        return value.type === 'object' && typeof value.properties === 'object';
+    }
+
+    readSchema(schema, nameHint) {
+        if (schema === true || schema === undefined) {
+            return { kind: 'dynamic', nullable: true };
+        }
+        if (schema === false) {
+            return { kind: 'null', nullable: true };
+        }
+
+        if (schema.$ref) {
+            return this.resolveRef(schema.$ref);
+        }
+
+        if (schema.allOf) {
+            return this.readAllOf(schema, nameHint);
+        }
+
+        const variants = schema.oneOf || schema.anyOf;
+        if (variants) {
+            return this.readVariants(schema, variants, nameHint);
+        }
+
+        if (schema.const !== undefined) {
+            return this.withMetadata(this.typeInference.infer(schema.const), { ...schema, enum: [schema.const] });
+        }
+
+        if (Array.isArray(schema.enum)) {
+            return this.readEnum(schema);
+        }
+
+        const types = this.getTypes(schema);
+        const nonNullTypes = types.filter(type => type !== 'null');
+        const nullable = types.includes('null') || schema.nullable === true;
+
+        if (nonNullTypes.length > 1) {
+            return { kind: 'dynamic', nullable: true };
+        }
+        if (nonNullTypes.length === 0 && nullable) {
+            // { "type": "null" }, the null branch of anyOf: [X, { "type": "null" }]
+            return { kind: 'null', nullable: true };
+        }
+
+        const node = this.readTyped(nonNullTypes[0], schema, nameHint);
+        if (nullable) {
+            node.nullable = true;
+        }
+        return this.withMetadata(node, schema);
+    }
+
+    getTypes(schema) {
+        if (Array.isArray(schema.type)) return schema.type;
+        if (schema.type) return [schema.type];
+
+        // Untyped schemas are classified by the keywords they use
+        if (schema.properties || schema.additionalProperties) return ['object'];
+        if (schema.items || schema.prefixItems) return ['array'];
+        return [];
+    }
+
+    readTyped(type, schema, nameHint) {
+        switch (type) {
+            case 'string':
+                return { kind: 'string', nullable: false };
+            case 'boolean':
+                return { kind: 'bool', nullable: false };
+            case 'integer':
+                return { kind: 'int', nullable: false };
+            case 'number':
+                return { kind: 'double', nullable: false };
+            case 'array':
+                return { kind: 'array', nullable: false, items: this.readItems(schema, nameHint) };
+            case 'object':
+                return this.readObject(schema, nameHint);
+            default:
+                return { kind: 'dynamic', nullable: true };
+        }
+    }
+
+    readItems(schema, nameHint) {
+        // 2020-12 uses prefixItems for tuples; draft-07 allows an array in items
+        const items = schema.items !== undefined ? schema.items : schema.prefixItems;
+        if (Array.isArray(items)) {
+            return items
+                .map(item => this.readSchema(item, nameHint))
+                .reduce((node, item) => this.typeInference.merge(node, item), null);
+        }
+        return items === undefined ? null : this.readSchema(items, nameHint);
+    }
+
+    readObject(schema, nameHint) {
+        const properties = schema.properties || {};
+        const required = Array.isArray(schema.required) ? schema.required : [];
+
+        // Objects without declared properties are free-form maps
+        if (Object.keys(properties).length === 0) {
+            return { kind: 'map', nullable: false };
+        }
+
+        const node = {
+            kind: 'object',
+            nullable: false,
+            sampleCount: 1,
+            fields: []
+        };
+        if (schema.title || nameHint) {
+            node.title = schema.title || nameHint;
+        }
+
+        Object.entries(properties).forEach(([key, propertySchema]) => {
+            node.fields.push({
+                key,
+                node: this.readSchema(propertySchema),
+                // Keys outside "required" are optional, exactly like keys missing from some samples
+                count: required.includes(key) ? 1 : 0
+            });
+        });
+
+        return node;
+    }
+
+    readAllOf(schema, nameHint) {
+        const parts = schema.allOf.map(part => this.readSchema(part));
+        const objects = parts.filter(part => part.kind === 'object');
+
+        if (objects.length === 0) {
+            return parts.reduce((node, part) => this.typeInference.merge(node, part), null);
+        }
+
+        // allOf wrapping a single $ref (often just to add nullable) keeps the referenced class
+        if (parts.length === 1 && !schema.properties) {
+            return this.withMetadata({ ...parts[0], nullable: parts[0].nullable || schema.nullable === true }, schema);
+        }
+
+        // Every part applies at once, so fields are concatenated rather than widened
+        const node = { kind: 'object', nullable: false, sampleCount: 1, fields: [] };
+        objects.forEach(part => {
+            part.fields.forEach(field => {
+                const existing = node.fields.find(item => item.key === field.key);
+                if (existing) {
+                    existing.node = this.typeInference.merge(existing.node, field.node);
+                    existing.count = Math.max(existing.count, field.count);
+                } else {
+                    node.fields.push({ ...field, count: Math.min(field.count, 1) });
+                }
+            });
+        });
+
+        const own = this.readSchema({ ...schema, allOf: undefined });
+        if (own.kind === 'object') {
+            node.fields.push(...own.fields.filter(field => !node.fields.some(item => item.key === field.key)));
+        }
+
+        if (Array.isArray(schema.required)) {
+            node.fields
+                .filter(field => schema.required.includes(field.key))
+                .forEach(field => { field.count = 1; });
+        }
+
+        node.nullable = schema.nullable === true;
+        node.title = schema.title || nameHint;
+        return this.withMetadata(node, schema);
+    }
+
+    readVariants(schema, variants, nameHint) {
+        const nodes = variants.map(variant => this.readSchema(variant));
+        const nonNull = nodes.filter(node => node.kind !== 'null');
+
+        // The merged node widens across the variants the same way samples are merged
+        const merged = nonNull.reduce((node, variant) => this.typeInference.merge(node, variant), null)
+            || { kind: 'dynamic', nullable: true };
+        const node = { ...merged };
+
+        if (nonNull.length < nodes.length || schema.nullable === true) {
+            node.nullable = true;
+        }
+        if (nonNull.length > 1 && nonNull.every(variant => variant.kind === 'object')) {
+            node.variants = nonNull;
+            if (schema.discriminator && schema.discriminator.propertyName) {
+                node.discriminator = schema.discriminator.propertyName;
+            }
+        }
+        if (node.kind === 'object') {
+            // A nullable $ref keeps the name of the schema it points to
+            node.title = schema.title || nameHint || (nonNull.length === 1 ? merged.title : undefined);
+        }
+
+        return this.withMetadata(node, schema);
+    }
+
+    readEnum(schema) {
+        const values = schema.enum.filter(value => value !== null);
+        const node = values
+            .map(value => this.typeInference.infer(value))
+            .reduce((result, item) => this.typeInference.merge(result, item), null)
+            || { kind: 'dynamic', nullable: true };
+
+        if (values.length < schema.enum.length || schema.nullable === true) {
+            node.nullable = true;
+        }
+
+        return this.withMetadata(node, schema);
+    }
+
+    withMetadata(node, schema) {
+        if (Array.isArray(schema.enum)) {
+            node.enumValues = schema.enum.filter(value => value !== null);
+        }
+        if (schema.format) {
+            node.format = schema.format;
+        }
+        if (schema.default !== undefined) {
+            node.defaultValue = schema.default;
+        }
+        if (schema.description) {
+            node.description = schema.description;
+        }
+        return node;
+    }
+
+    resolveRef(ref) {
+        if (this.refCache.has(ref)) {
+            return this.refCache.get(ref);
+        }
+
+        if (!ref.startsWith('#')) {
+            throw new Error(`Only local $ref values are supported: ${ref}`);
+        }
+
+        const target = this.resolvePointer(ref);
+        if (target === undefined) {
+            throw new Error(`Unresolved $ref: ${ref}`);
+        }
+
+        // Cache a placeholder first so recursive references point back at the same node
+        const refName = ref.split('/').pop();
+        const node = { kind: 'dynamic', nullable: true };
+        this.refCache.set(ref, node);
+        Object.assign(node, this.readSchema(target, refName));
+
+        return node;
+    }
+
+    resolvePointer(pointer) {
+        return pointer.slice(1).split('/').filter(Boolean)
+            .map(part => decodeURIComponent(part.replace(/~1/g, '/').replace(/~0/g, '~')))
+            .reduce((schema, part) => (schema ? schema[part] : undefined), this.root);
+    }
+}
+
+export { JsonSchemaReader };
\ No newline at end of file
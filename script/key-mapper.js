@@ -0,0 +1,89 @@
+// Key Mapper - Turns arbitrary JSON keys into unique, valid Dart identifiers
+class KeyMapper {
+    constructor() {
+        // Members every generated class already has, on top of the Dart keywords
+        this.reservedMembers = [
+            'hashCode', 'runtimeType', 'toString', 'noSuchMethod',
+            'toJson', 'fromJson', 'copyWith', 'props', 'stringify'
+        ];
+        this.keywords = [
+            'abstract', 'as', 'assert', 'async', 'await', 'break', 'case', 'catch', 'class',
+            'const', 'continue', 'covariant', 'default', 'deferred', 'do', 'dynamic', 'else', 'enum',
+            'export', 'extends', 'extension', 'external', 'factory', 'false', 'final', 'finally', 'for',
+            'function', 'get', 'hide', 'if', 'implements', 'import', 'in', 'interface', 'is', 'late',
+            'library', 'mixin', 'new', 'null', 'on', 'operator', 'part', 'required', 'rethrow', 'return',
+            'sealed', 'set', 'show', 'static', 'super', 'switch', 'sync', 'this', 'throw', 'true', 'try',
+            'typedef', 'var', 'void', 'when', 'while', 'with', 'yield'
+        ];
+    }
+
+    mapKeys(keys, strategy = 'camelCase') {
+        // Keys are mapped in order so the first key keeps the plain name on a collision
+        const used = new Set();
+        const names = new Map();
+
+        keys.forEach(key => {
+            const name = this.toIdentifier(key, strategy);
+            let uniqueName = name;
+            let index = 2;
+            while (used.has(uniqueName)) {
+                uniqueName = `${name}${index++}`;
+            }
+            used.add(uniqueName);
+            names.set(key, uniqueName);
+        });
+
+        return names;
+    }
+
+    toIdentifier(key, strategy = 'camelCase') {
+        if (strategy === 'preserve' && /^[a-zA-Z][a-zA-Z0-9_]*$/.test(key) && !this.isReserved(key)) {
+            return key;
+        }
+
+        let name = this.splitWords(key)
+            .map((word, index) => (index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+            .join('');
+
+        if (!name) return 'field';
+        if (/^[0-9]/.test(name)) name = `field${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+        if (this.isReserved(name)) name = `${name}Value`;
+        return name;
+    }
+
+    splitWords(key) {
+        // kebab-case, snake_case, SCREAMING_CASE, dotted.keys, PascalCase and camelCase all split the same way
+        return String(key)
+            .replace(/['\u2019]/g, '')
+            .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .split(/[^a-zA-Z0-9]+/)
+            .filter(Boolean)
+            .map(word => word.toLowerCase());
+    }
+
+    checkIdentifier(name) {
+        // Names typed by hand are used as they are, so they must already be valid; returns why not, or null
+        if (!/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name)) {
+            return `"${name}" is not a valid Dart identifier`;
+        }
+        if (this.isReserved(name)) {
+            return `"${name}" is a Dart keyword or a member of every generated class`;
+        }
+        return null;
+    }
+
+    isReserved(name) {
+        return this.keywords.includes(name) || this.reservedMembers.includes(name);
+    }
+
+    escape(key, quote = "'") {
+        // Keys end up inside Dart string literals, where $ would start an interpolation
+        return String(key)
+            .replace(/\\/g, '\\\\')
+            .replace(new RegExp(quote, 'g'), `\\${quote}`)
+            .replace(/\$/g, '\\$');
+    }
+}
+
+export { KeyMapper };
\ No newline at end of file
@@ -0,0 +1,94 @@
+// Model Converter - Runs parsed JSON samples or a JSON Schema through the selected generator, and Dart classes back to JSON, in the browser and the CLI
+import { JsonSamples } from './json-samples.js';
+import { DartGenerator } from './dart-generator.js';
+import { DartTestGenerator } from './test-generator.js';
+import { DartReverseGenerator } from './reverse-generator.js';
+import { JsonSchemaReader } from './json-schema-reader.js';
+import { SchemaDiff } from './schema-diff.js';
+import { generatorRegistry } from './generators.js';
+
+class ModelConverter {
+    constructor(registry = generatorRegistry) {
+        this.registry = registry;
+        this.dartGenerator = new DartGenerator();
+        this.testGenerator = new DartTestGenerator();
+        this.reverseGenerator = new DartReverseGenerator();
+        this.schemaReader = new JsonSchemaReader();
+        this.schemaDiff = new SchemaDiff();
+    }
+
+    static getGeneratorId(settings) {
+        // A selected template always renders through the template generator
+        if (settings.template) return 'template';
+        if (settings.generator) return settings.generator;
+
+        // Settings from before the registry only had the freezed and Model New checkboxes
+        if (settings.modelNew) return 'modelNew';
+        return settings.useFreezed ? 'freezed' : 'dart';
+    }
+
+    convert(className, documents, settings, testImportDir) {
+        // settings.template and settings.profile are the template and profile objects, not their ids
+        const isSchema = settings.inputMode === 'schema';
+        if (isSchema && documents.length !== 1) {
+            throw new Error('Paste a single JSON Schema document');
+        }
+
+        const plugin = this.registry.get(ModelConverter.getGeneratorId(settings));
+        const result = plugin.generate(className, documents, { ...this.registry.getDefaults(plugin.id), ...settings });
+
+        // Schemas carry no sample data to round-trip
+        const testCode = settings.generateTests && !isSchema && result.testModel
+            ? this.testGenerator.generate(className, JsonSamples.toSamples(documents), result.testModel, testImportDir)
+            : '';
+        if (testCode) {
+            result.files.push({ fileName: `test/${result.testModel.fileName}_test.dart`, content: testCode });
+        }
+
+        return { ...result, testCode };
+    }
+
+    compare(className, beforeDocuments, afterDocuments, settings) {
+        // Both sides go through the same generator and settings, so the code diff only shows what the payloads changed
+        const codeSettings = { ...settings, generateTests: false };
+        const beforeCode = this.convert(className, beforeDocuments, codeSettings).code;
+        const afterCode = this.convert(className, afterDocuments, codeSettings).code;
+
+        const changes = this.schemaDiff.compare(this.readModel(beforeDocuments, settings), this.readModel(afterDocuments, settings));
+        const codeDiff = this.schemaDiff.diffLines(beforeCode, afterCode);
+
+        return {
+            changes,
+            breaking: changes.filter(change => change.breaking),
+            codeDiff,
+            unifiedDiff: this.schemaDiff.formatUnified(codeDiff)
+        };
+    }
+
+    readModel(documents, settings) {
+        // The inferred tree the generators work from, before any Dart naming
+        return settings.inputMode === 'schema'
+            ? this.schemaReader.read(documents[0])
+            : this.dartGenerator.inferRoot(JsonSamples.toSamples(documents));
+    }
+
+    reverse(className, source) {
+        // Dart model code in, a JSON fixture and a JSON Schema for its root class out
+        const result = this.reverseGenerator.generate(className, source);
+        const sample = JSON.stringify(result.sample, null, 2);
+        const schema = JSON.stringify(result.schema, null, 2);
+        const fileName = this.dartGenerator.toFileName(result.rootName);
+
+        return {
+            rootName: result.rootName,
+            sample,
+            schema,
+            files: [
+                { fileName: `${fileName}.json`, content: sample },
+                { fileName: `${fileName}.schema.json`, content: schema }
+            ]
+        };
+    }
+}
+
+export { ModelConverter };
@@ -1,32 +1,163 @@
 // Model New Generator - Separate module for generating custom Model classes
+import { TypeInference } from './type-inference.js';
+import { DartSpecialTypes } from './special-types.js';
+import { KeyMapper } from './key-mapper.js';
+import { FieldOverrides } from './field-overrides.js';
+import { DartEnumGenerator } from './enum-generator.js';
+import { TemplateEngine } from './template-engine.js';
+import { StorageBackends } from './storage-backends.js';
+
 class ModelNewGenerator {
     constructor() {
-        this.baseImports = [
-            "import 'dart:convert';",
-            "",
-            "import '../main.dart';",
-            "import 'base.dart';",
-            ""
-        ];
+        this.profile = ModelNewGenerator.createDefaultProfile();
+        this.templateEngine = new TemplateEngine();
+        this.typeInference = new TypeInference();
+        this.enumGenerator = new DartEnumGenerator();
+        this.specialTypes = new DartSpecialTypes();
+        this.keyMapper = new KeyMapper();
+        this.storageBackends = new StorageBackends();
+        this.fieldTable = [];
+    }
+
+    static createDefaultProfile() {
+        // Storage calls are templates over {{key}} and {{value}}; helpers read one typed value out of json
+        return {
+            name: 'Default (Model + Prefs)',
+            imports: "import 'dart:convert';\n\nimport '../main.dart';\nimport 'base.dart';",
+            baseClass: 'Model',
+            idField: 'id',
+            asyncStorage: false,
+            storage: {
+                save: "Prefs.setString('{{key}}', {{value}})",
+                get: "Prefs.getString('{{key}}')",
+                remove: "Prefs.remove('{{key}}')"
+            },
+            helpers: {
+                string: 'stringFromJson',
+                int: 'intFromJson',
+                double: 'doubleFromJson',
+                bool: 'boolFromJson'
+            }
+        };
+    }
+
+    static resolveProfile(profile) {
+        // Saved profiles may predate newer settings, so missing entries fall back to the defaults
+        const defaults = ModelNewGenerator.createDefaultProfile();
+        if (!profile) return defaults;
+
+        const filled = values => Object.fromEntries(Object.entries(values || {}).filter(([, value]) => value));
+        return {
+            ...defaults,
+            ...profile,
+            storage: { ...defaults.storage, ...filled(profile.storage) },
+            helpers: { ...defaults.helpers, ...filled(profile.helpers) }
+        };
     }
 
     generate(className, jsonData, settings = {}) {
-        let dartCode = '';
+        // Every element of a top-level array is a sample of the same model
+        const samples = Array.isArray(jsonData) ? jsonData : [jsonData];
+        if (samples.length === 0) {
+            throw new Error('Cannot generate class from empty array');
+        }
 
-        // Check if the input is an array
-        if (Array.isArray(jsonData)) {
-            if (jsonData.length === 0) {
-                throw new Error('Cannot generate class from empty array');
-            }
-            // Use the first item in the array as the template
-            jsonData = jsonData[0];
+        const rootNode = this.typeInference.inferFromSamples(samples);
+        if (rootNode.kind !== 'object') {
+            throw new Error('Root value must be an object or an array of objects');
         }
 
+        return this.generateFromNode(className, rootNode, settings, jsonData);
+    }
+
+    generateFromNode(className, rootNode, settings = {}, commentData = null) {
+        let dartCode = '';
+
+        this.nestedClasses = [];
+        this.usedModelNames = new Set([className]);
+        this.modelNamesByNode = new Map([[rootNode, className]]);
+        // Overrides are keyed by the JSON path to each class, the same in every generator
+        this.overridePaths = new Map([[className, className]]);
+        this.enumTypes = new Map();
+        this.detectEnums = settings.detectEnums !== false;
+        this.detectSpecialTypes = settings.detectSpecialTypes !== false;
+        this.rawFields = settings.rawFields || [];
+        this.keyNaming = settings.keyNaming || 'camelCase';
+        this.fieldOverrides = new FieldOverrides(settings.fieldOverrides);
+        this.fieldTable = [];
+        this.profile = ModelNewGenerator.resolveProfile(settings.profile);
+        this.storageBackend = settings.storageBackend || 'prefs';
+        this.hiveTypeId = Number.isInteger(settings.hiveTypeId) ? settings.hiveTypeId : 0;
+        this.rootClassName = className;
+
         // Add imports
-        dartCode += this.baseImports.join('\n');
+        const imports = [
+            this.profile.imports.trim(),
+            (settings.extraImports || []).join('\n'),
+            this.storageBackends.getImports(this.storageBackend)
+                .filter(line => !this.profile.imports.includes(line))
+                .join('\n'),
+            this.storageBackends.getParts(this.storageBackend, className).join('\n')
+        ].filter(Boolean).join('\n\n');
+        if (imports) {
+            dartCode += `${imports}\n`;
+        }
+
+        dartCode += this.generateClass(className, rootNode, settings);
+
+        // Nested objects and list items get their own Model classes
+        while (this.nestedClasses.length > 0) {
+            const nested = this.nestedClasses.shift();
+            dartCode += '\n' + this.generateClass(nested.className, nested.node, {});
+        }
+
+        this.enumTypes.forEach((values, enumName) => {
+            dartCode += '\n' + this.enumGenerator.generate(enumName, values) + '\n';
+        });
+
+        // Add JSON comment if requested
+        if (settings.generateJsonComment && commentData !== null) {
+            dartCode += '\n/*\n' + JSON.stringify(commentData, null, 2) + '\n*/';
+        }
+
+        return dartCode;
+    }
+
+    generateClass(className, objectNode, settings) {
+        let dartCode = '';
+        const path = this.overridePaths.get(className) || className;
+        const fields = this.getFields(objectNode, className, path);
+        const models = this.collectNestedModels(fields, path);
+        fields.forEach(field => {
+            this.fieldTable.push({
+                className,
+                path,
+                key: field.key,
+                name: field.inferredName,
+                type: this.getFieldType(field, models),
+                nullable: field.nullable,
+                ignored: false
+            });
+        });
+
+        // Hive, sqflite and Isar code is built from the same field list
+        const isRoot = className === this.rootClassName;
+        const storageModel = {
+            className,
+            isRoot,
+            idField: this.profile.idField,
+            typeId: this.hiveTypeId,
+            fields: this.getStorageFields(fields, models),
+            fromJson: json => (settings.singletonPattern ? `${className}._()..fromJson(${json})` : `${className}.fromJson(${json})`)
+        };
 
         // Class declaration
-        dartCode += `class ${className} extends Model {\n`;
+        const classAnnotation = this.storageBackends.getClassAnnotation(this.storageBackend, isRoot);
+        if (classAnnotation) {
+            dartCode += `${classAnnotation}\n`;
+        }
+        const baseClass = this.profile.baseClass.trim();
+        dartCode += `class ${className}${baseClass ? ` extends ${baseClass}` : ''} {\n`;
 
         // Add singleton pattern if requested
         if (settings.singletonPattern) {
@@ -35,74 +166,299 @@ class ModelNewGenerator {
         }
 
         // Generate properties
-        const properties = this.generateProperties(jsonData);
-        dartCode += properties + '\n\n';
+        const properties = this.storageBackends.usesFieldAnnotations(this.storageBackend)
+            ? this.generateAnnotatedProperties(storageModel.fields)
+            : this.generateProperties(fields, models);
+        if (properties) {
+            dartCode += properties + '\n\n';
+        }
+
+        const members = this.storageBackends.generateMembers(this.storageBackend, storageModel);
+        if (members) {
+            dartCode += members + '\n\n';
+        }
 
         // Generate fromJson method
-        dartCode += this.generateFromJson(jsonData, settings.singletonPattern) + '\n\n';
+        dartCode += this.generateFromJson(fields, settings.singletonPattern, models, className) + '\n\n';
 
         // Generate utility methods based on settings
-        if (settings.localSave) {
-            dartCode += this.generateSaveMethod(className) + '\n\n';
-        }
+        if (this.storageBackend !== 'prefs' && isRoot) {
+            ['save', 'clear', 'get']
+                .filter(action => settings[`local${this.capitalize(action)}`])
+                .forEach(action => {
+                    dartCode += this.storageBackends.generateMethod(this.storageBackend, action, storageModel) + '\n\n';
+                });
+        } else {
+            if (settings.localSave) {
+                dartCode += this.generateSaveMethod(className) + '\n\n';
+            }
 
-        if (settings.localClear) {
-            dartCode += this.generateClearMethod(className) + '\n\n';
-        }
+            if (settings.localClear) {
+                dartCode += this.generateClearMethod(className) + '\n\n';
+            }
 
-        if (settings.localGet) {
-            dartCode += this.generateGetMethod(className) + '\n\n';
+            if (settings.localGet) {
+                dartCode += this.generateGetMethod(className) + '\n\n';
+            }
         }
 
         // Generate toJson method
-        dartCode += this.generateToJson(jsonData) + '\n';
+        dartCode += this.generateToJson(fields, models) + '\n';
+
+        const helpers = isRoot ? this.storageBackends.generateHelpers(this.storageBackend, storageModel) : '';
+        if (helpers) {
+            dartCode += '\n' + helpers + '\n';
+        }
 
         dartCode += '}\n';
 
-        // Add JSON comment if requested
-        if (settings.generateJsonComment) {
-            dartCode += '\n/*\n' + JSON.stringify(jsonData, null, 2) + '\n*/';
+        const afterClass = isRoot ? this.storageBackends.generateAfterClass(this.storageBackend, storageModel) : '';
+        if (afterClass) {
+            dartCode += '\n' + afterClass + '\n';
         }
 
         return dartCode;
     }
 
-    generateProperties(jsonData) {
+    getTestModel(className, settings = {}) {
+        // Describes the generated class for DartTestGenerator; Model New classes have no copyWith or equality
+        return {
+            fileName: this.storageBackends.toSnakeCase(className),
+            construct: json => (settings.singletonPattern ? `${className}.i..fromJson(${json})` : `${className}.fromJson(${json})`),
+            hasToJson: true,
+            copyWith: false,
+            hasEquality: false,
+            sampleKeysOnly: true,
+            properties: []
+        };
+    }
+
+    getStorageFields(fields, models) {
+        return fields.map(field => {
+            const enumType = this.isEnumType(models[field.key]) ? models[field.key] : null;
+            let kind = field.node.kind;
+            let rawType = null;
+
+            if (field.type) {
+                kind = 'value';
+            } else if (field.special) {
+                kind = 'special';
+                rawType = field.special.rawType;
+            } else if (enumType) {
+                kind = 'enum';
+                rawType = this.enumGenerator.getValueType(this.enumTypes.get(enumType));
+            } else if (kind === 'array') {
+                kind = models[field.key] ? 'modelList' : 'list';
+            } else if (kind === 'object') {
+                kind = 'model';
+            }
+
+            return {
+                key: field.key,
+                jsonKey: field.jsonKey,
+                name: field.camelKey,
+                type: this.getFieldType(field, models),
+                kind,
+                rawType,
+                nullable: this.isNullable(field, models)
+            };
+        });
+    }
+
+    generateAnnotatedProperties(storageFields) {
+        // Annotated fields need one declaration each
+        return storageFields.map(field => {
+            const annotation = this.storageBackends.getFieldAnnotation(this.storageBackend, field);
+            const declaration = `  late ${field.type}${field.nullable && field.type !== 'dynamic' ? '?' : ''} ${field.name};`;
+            return annotation ? `  ${annotation}\n${declaration}` : declaration;
+        }).join('\n');
+    }
+
+    getFields(objectNode, className, path = className) {
+        // Skip keys that were null in every sample and the key the base class reads into its id;
+        // keys with mixed types stay as dynamic
+        const fields = objectNode.fields.filter(field =>
+            field.node.kind !== 'null' && field.key !== this.profile.idField);
+        const names = this.keyMapper.mapKeys(fields.map(field => field.key), this.keyNaming);
+
+        return fields
+            .map(field => {
+                const override = this.fieldOverrides.get(path, field.key) || {};
+                const camelKey = names.get(field.key);
+                if (override.ignore) {
+                    this.fieldTable.push({ className, path, key: field.key, name: camelKey, type: field.node.kind, nullable: false, ignored: true });
+                }
+
+                return {
+                    key: field.key,
+                    jsonKey: this.keyMapper.escape(field.key, '"'),
+                    camelKey: override.name || camelKey,
+                    inferredName: camelKey,
+                    node: field.node,
+                    special: override.type ? null : this.getSpecialType(field.node, field.key, className),
+                    type: override.type || null,
+                    nullable: override.nullability === 'nullable',
+                    defaultValue: override.defaultValue || null,
+                    ignore: Boolean(override.ignore)
+                };
+            })
+            .filter(field => !field.ignore);
+    }
+
+    getSpecialType(node, key, className) {
+        if (!this.detectSpecialTypes || this.specialTypes.isExcluded(this.rawFields, className, key)) return null;
+        return this.specialTypes.detect(node, key);
+    }
+
+    collectNestedModels(fields, path) {
+        const models = {};
+
+        fields.forEach(({ key, camelKey, node, special, type }) => {
+            if (special || type) return;
+
+            const enumValues = this.getEnumValues(node);
+            if (enumValues) {
+                models[key] = this.registerEnum(this.toModelBaseName(node.title || camelKey), node, enumValues);
+            } else if (node.kind === 'object') {
+                const baseName = node.title || camelKey;
+                models[key] = this.registerNestedClass(`${this.toModelBaseName(baseName)}Model`, node, `${path}.${key}`);
+            } else if (node.kind === 'array' && node.items && node.items.kind === 'object') {
+                const baseName = node.items.title || this.toCamelCase(this.singularize(key));
+                models[key] = this.registerNestedClass(`${this.toModelBaseName(baseName)}Model`, node.items, `${path}.${key}`);
+            }
+        });
+
+        return models;
+    }
+
+    getEnumValues(node) {
+        if (!node.enumValues && !this.detectEnums) return null;
+        return this.typeInference.getEnumValues(node);
+    }
+
+    registerEnum(enumName, node, values) {
+        if (this.modelNamesByNode.has(node)) {
+            return this.modelNamesByNode.get(node);
+        }
+
+        let uniqueName = enumName;
+        let index = 2;
+        while (this.usedModelNames.has(uniqueName)) {
+            uniqueName = `${enumName}${index++}`;
+        }
+
+        this.usedModelNames.add(uniqueName);
+        this.modelNamesByNode.set(node, uniqueName);
+        this.enumTypes.set(uniqueName, values);
+        return uniqueName;
+    }
+
+    isEnumType(type) {
+        return this.enumTypes.has(type);
+    }
+
+    isNullable(field, models) {
+        // Inferred fields are read through helpers that fall back to a default, so only nullable
+        // overrides and dynamic values can hold null
+        return field.nullable || this.getFieldType(field, models) === 'dynamic';
+    }
+
+    registerNestedClass(modelName, node, path) {
+        // Schema $refs share one node (or one title, when a nullable $ref wraps it) and must map to one class
+        if (this.modelNamesByNode.has(node)) {
+            return this.modelNamesByNode.get(node);
+        }
+        if (node.title) {
+            const sameTitle = [...this.modelNamesByNode.keys()]
+                .find(other => other.kind === 'object' && other.title === node.title);
+            if (sameTitle) {
+                return this.modelNamesByNode.get(sameTitle);
+            }
+        }
+
+        let uniqueName = modelName;
+        let index = 2;
+        while (this.usedModelNames.has(uniqueName)) {
+            uniqueName = modelName.replace(/Model$/, `${index++}Model`);
+        }
+
+        this.usedModelNames.add(uniqueName);
+        this.modelNamesByNode.set(node, uniqueName);
+        this.overridePaths.set(uniqueName, path || uniqueName);
+        this.nestedClasses.push({ className: uniqueName, node });
+        return uniqueName;
+    }
+
+    getListItemType(itemsNode) {
+        switch (itemsNode && itemsNode.kind) {
+            case 'string':
+                return 'String';
+            case 'bool':
+                return 'bool';
+            case 'int':
+            case 'double':
+                return itemsNode.kind;
+            default:
+                return 'dynamic';
+        }
+    }
+
+    generateProperties(fields, models = {}) {
         const stringProps = [];
         const boolProps = [];
         const intProps = [];
         const doubleProps = [];
         const objectProps = [];
+        const listProps = [];
 
         // Categorize properties by type
-        Object.keys(jsonData).forEach(key => {
-            // Skip invalid Dart variable names
-            if (!this.isValidDartVariableName(key)) {
+        fields.forEach(field => {
+            const { key, camelKey, node, special } = field;
+
+            // Overridden types and nullable fields are declared one per line
+            if (field.type || field.nullable) {
+                const type = this.getFieldType(field, models);
+                objectProps.push(`${type}${field.nullable && type !== 'dynamic' ? '?' : ''} ${camelKey}`);
                 return;
             }
 
-            const value = jsonData[key];
-            const camelKey = this.toCamelCase(key);
+            if (special) {
+                objectProps.push(`${special.type} ${camelKey}`);
+                return;
+            }
 
-            switch (typeof value) {
+            if (this.isEnumType(models[key])) {
+                objectProps.push(`${models[key]} ${camelKey}`);
+                return;
+            }
+
+            switch (node.kind) {
                 case 'string':
                     stringProps.push(camelKey);
                     break;
-                case 'boolean':
+                case 'bool':
                     boolProps.push(camelKey);
                     break;
-                case 'number':
-                    if (Number.isInteger(value)) {
-                        intProps.push(camelKey);
-                    } else {
-                        doubleProps.push(camelKey);
-                    }
+                case 'int':
+                    intProps.push(camelKey);
+                    break;
+                case 'double':
+                    doubleProps.push(camelKey);
                     break;
                 case 'object':
-                    if (value !== null && !Array.isArray(value)) {
-                        objectProps.push(`${this.capitalize(camelKey)}Model ${camelKey}`);
-                    }
+                    objectProps.push(`${models[key]} ${camelKey}`);
+                    break;
+                case 'map':
+                    objectProps.push(`Map<String, dynamic> ${camelKey}`);
+                    break;
+                case 'dynamic':
+                    objectProps.push(`dynamic ${camelKey}`);
+                    break;
+                case 'array': {
+                    const itemType = models[key] || this.getListItemType(node.items);
+                    listProps.push(`List<${itemType}> ${camelKey}`);
                     break;
+                }
             }
         });
 
@@ -131,45 +487,28 @@ class ModelNewGenerator {
             });
         }
 
-        return properties.trim();
+        if (listProps.length > 0) {
+            listProps.forEach(prop => {
+                properties += `  late ${prop};\n`;
+            });
+        }
+
+        return properties.trimEnd();
     }
 
-    generateFromJson(jsonData, hasSingleton) {
+    generateFromJson(fields, hasSingleton, models = {}, className = this.getCurrentClassName()) {
         // Use constructor name based on singleton pattern
-        const constructorName = hasSingleton ? 'fromJson' : `${this.getCurrentClassName()}.fromJson`;
+        const constructorName = hasSingleton ? 'fromJson' : `${className}.fromJson`;
 
         let method = `  ${constructorName}([Map<String, dynamic>? json]) {\n`;
-        method += '    id = stringFromJson(json, "id");\n';
+        if (this.profile.idField) {
+            method += `    id = ${this.profile.helpers.string}(json, "${this.keyMapper.escape(this.profile.idField, '"')}");\n`;
+        }
 
-        Object.keys(jsonData).forEach(key => {
-            // Skip invalid Dart variable names
-            if (!this.isValidDartVariableName(key)) {
-                return;
-            }
-
-            const value = jsonData[key];
-            const camelKey = this.toCamelCase(key);
-
-            switch (typeof value) {
-                case 'string':
-                    method += `    ${camelKey} = stringFromJson(json, "${key}");\n`;
-                    break;
-                case 'boolean':
-                    method += `    ${camelKey} = boolFromJson(json, "${key}");\n`;
-                    break;
-                case 'number':
-                    if (Number.isInteger(value)) {
-                        method += `    ${camelKey} = intFromJson(json, "${key}");\n`;
-                    } else {
-                        method += `    ${camelKey} = doubleFromJson(json, "${key}");\n`;
-                    }
-                    break;
-                case 'object':
-                    if (value !== null && !Array.isArray(value)) {
-                        const modelName = this.capitalize(camelKey) + 'Model';
-                        method += `    ${camelKey} = ${modelName}.fromJson(json?["${key}"] ?? {});\n`;
-                    }
-                    break;
+        fields.forEach(field => {
+            const value = this.getFromJsonValue(field, models);
+            if (value !== null) {
+                method += `    ${field.camelKey} = ${value};\n`;
             }
         });
 
@@ -177,53 +516,142 @@ class ModelNewGenerator {
         return method;
     }
 
+    getFromJsonValue(field, models) {
+        const { key, jsonKey, node, special } = field;
+        const access = `json?["${jsonKey}"]`;
+
+        if (field.type) {
+            return field.defaultValue ? `${access} ?? ${field.defaultValue}` : access;
+        }
+
+        const value = this.getInferredFromJsonValue(field, models);
+        if (value === null) return null;
+
+        // Overridden defaults and nullability only apply when the key is missing
+        if (field.defaultValue) {
+            return `${access} == null\n        ? ${field.defaultValue}\n        : ${value}`;
+        }
+        if (field.nullable) {
+            return `${access} == null\n        ? null\n        : ${value}`;
+        }
+        return value;
+    }
+
+    getInferredFromJsonValue({ key, jsonKey, node, special }, models) {
+        if (special) {
+            // Missing values fall back instead of throwing inside parse
+            const helper = special.rawType === 'int' ? this.profile.helpers.int : this.profile.helpers.string;
+            return `json?["${jsonKey}"] == null\n`
+                + `        ? ${special.fallback}\n`
+                + `        : ${special.parse(`${helper}(json, "${jsonKey}")`)}`;
+        }
+
+        if (this.isEnumType(models[key])) {
+            return `${models[key]}.fromJson(json?["${jsonKey}"])`;
+        }
+
+        switch (node.kind) {
+            case 'string':
+                return `${this.profile.helpers.string}(json, "${jsonKey}")`;
+            case 'bool':
+                return `${this.profile.helpers.bool}(json, "${jsonKey}")`;
+            case 'int':
+                return `${this.profile.helpers.int}(json, "${jsonKey}")`;
+            case 'double':
+                return `${this.profile.helpers.double}(json, "${jsonKey}")`;
+            case 'object':
+                return `${models[key]}.fromJson(json?["${jsonKey}"] ?? {})`;
+            case 'map':
+                return `Map<String, dynamic>.from(json?["${jsonKey}"] ?? {})`;
+            case 'array':
+                if (models[key]) {
+                    return `List.from(json?["${jsonKey}"] ?? [])\n`
+                        + `        .map((e) => ${models[key]}.fromJson(e))\n`
+                        + '        .toList()';
+                }
+                return `List<${this.getListItemType(node.items)}>.from(json?["${jsonKey}"] ?? [])`;
+            case 'dynamic':
+                return `json?["${jsonKey}"]`;
+            default:
+                return null;
+        }
+    }
+
+    getFieldType(field, models) {
+        if (field.type) return field.type;
+        if (field.special) return field.special.type;
+        if (models[field.key] && field.node.kind !== 'array') return models[field.key];
+
+        switch (field.node.kind) {
+            case 'string':
+                return 'String';
+            case 'map':
+                return 'Map<String, dynamic>';
+            case 'array':
+                return `List<${models[field.key] || this.getListItemType(field.node.items)}>`;
+            default:
+                return field.node.kind;
+        }
+    }
+
     generateSaveMethod(className) {
-        const key = className.toLowerCase();
         return [
-            '  save() {',
-            `    Prefs.setString('${key}', jsonEncode(toJson()));`,
+            `  ${this.getStorageSignature('save')} {`,
+            `    ${this.getStorageCall('save', className, 'jsonEncode(toJson())')};`,
             '  }'
         ].join('\n');
     }
 
     generateClearMethod(className) {
-        const key = className.toLowerCase();
         return [
-            '  clear() {',
-            `    Prefs.remove('${key}');`,
+            `  ${this.getStorageSignature('clear')} {`,
+            `    ${this.getStorageCall('remove', className)};`,
             '    fromJson();',
             '  }'
         ].join('\n');
     }
 
     generateGetMethod(className) {
-        const key = className.toLowerCase();
         return [
-            '  get() {',
-            `    String data = Prefs.getString('${key}') ?? '{}';`,
+            `  ${this.getStorageSignature('get')} {`,
+            `    String data = ${this.getStorageCall('get', className)} ?? '{}';`,
             '    fromJson(jsonDecode(data));',
             '  }'
         ].join('\n');
     }
 
-    generateToJson(jsonData) {
-        let method = '  @override\n  Map<String, dynamic> toJson() => {\n';
-        method += '        "id": id,\n';
+    getStorageSignature(name) {
+        return this.profile.asyncStorage ? `Future<void> ${name}() async` : `${name}()`;
+    }
 
-        const assignments = Object.keys(jsonData)
-            .filter(key => this.isValidDartVariableName(key))
-            .map(key => {
-                const value = jsonData[key];
-                const camelKey = this.toCamelCase(key);
+    getStorageCall(action, className, value = '') {
+        const call = this.templateEngine.render(this.profile.storage[action], { key: className.toLowerCase(), value });
+        return this.profile.asyncStorage ? `await ${call}` : call;
+    }
 
-                if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-                    return `        "${key}": ${camelKey}.toJson()`;
-                } else {
-                    return `        "${key}": ${camelKey}`;
-                }
-            });
+    generateToJson(fields, models = {}) {
+        let method = this.profile.baseClass.trim() ? '  @override\n' : '';
+        method += '  Map<String, dynamic> toJson() => {\n';
+        if (this.profile.idField) {
+            method += `        "${this.keyMapper.escape(this.profile.idField, '"')}": id,\n`;
+        }
 
-        method += assignments.join(',\n') + ',\n';
+        const assignments = fields.map(({ key, jsonKey, camelKey, node, special, type, nullable }) => {
+            const access = nullable ? '?' : '';
+            if (type) {
+                return `        "${jsonKey}": ${camelKey}`;
+            } else if (special) {
+                return `        "${jsonKey}": ${camelKey}${access}${special.serialize}`;
+            } else if (node.kind === 'array' && models[key]) {
+                return `        "${jsonKey}": ${camelKey}${access}.map((e) => e.toJson()).toList()`;
+            } else if (node.kind === 'object' || this.isEnumType(models[key])) {
+                return `        "${jsonKey}": ${camelKey}${access}.toJson()`;
+            } else {
+                return `        "${jsonKey}": ${camelKey}`;
+            }
+        });
+
+        method += assignments.map(assignment => `${assignment},\n`).join('');
         method += '      };';
 
         return method;
@@ -238,11 +666,6 @@ class ModelNewGenerator {
         this.currentClassName = className;
     }
 
-    isValidDartVariableName(name) {
-        // Check if name starts with a letter or underscore and contains only letters, numbers, and underscores
-        return /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name) && !this.isDartKeyword(name);
-    }
-
     isDartKeyword(name) {
         const keywords = [
             'abstract', 'as', 'assert', 'async', 'await', 'break', 'case', 'catch', 'class',
@@ -260,10 +683,20 @@ class ModelNewGenerator {
         return str.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
     }
 
+    singularize(str) {
+        if (/ies$/i.test(str)) return str.slice(0, -3) + 'y';
+        if (/(ss|us)$/i.test(str)) return str;
+        if (/s$/i.test(str)) return str.slice(0, -1);
+        return `${str}_item`;
+    }
+
+    toModelBaseName(str) {
+        return this.capitalize(str.replace(/[^a-zA-Z0-9]+(.)?/g, (match, letter) => (letter ? letter.toUpperCase() : '')));
+    }
+
     capitalize(str) {
         return str.charAt(0).toUpperCase() + str.slice(1);
     }
 }
 
-// Make it globally available
-window.ModelNewGenerator = ModelNewGenerator;
\ No newline at end of file
+export { ModelNewGenerator };
\ No newline at end of file
@@ -0,0 +1,449 @@
+// OpenAPI Importer - Generates every component model plus a typed Dio API class from an OpenAPI 3 document
+import { JsonSchemaReader } from './json-schema-reader.js';
+import { DartGenerator } from './dart-generator.js';
+
+class OpenApiImporter {
+    constructor() {
+        this.schemaReader = new JsonSchemaReader();
+        this.dartGenerator = new DartGenerator();
+        this.httpMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+    }
+
+    parse(text) {
+        const trimmed = text.trim();
+        if (!trimmed) {
+            throw new Error('The OpenAPI file is empty');
+        }
+
+        if (trimmed.startsWith('{')) {
+            return JSON.parse(trimmed);
+        }
+
+        // YAML documents are parsed with js-yaml, loaded by the page
+        if (typeof jsyaml === 'undefined') {
+            throw new Error('YAML support is not loaded; use a JSON OpenAPI file');
+        }
+        return jsyaml.load(trimmed);
+    }
+
+    import(text, options = {}) {
+        const doc = this.parse(text);
+
+        if (!doc || typeof doc.openapi !== 'string' || !doc.openapi.startsWith('3')) {
+            throw new Error('Only OpenAPI 3.x documents are supported');
+        }
+
+        this.schemaReader.load(doc);
+
+        const apiName = this.dartGenerator.toClassName((doc.info && doc.info.title) || 'Api')
+            .replace(/api$/i, '') || 'Api';
+        const roots = this.collectComponentRoots();
+        const operations = this.collectOperations(doc, roots);
+        this.roots = roots;
+
+        this.dartGenerator.setOptions({ ...options, inferNullability: true });
+        const fileName = this.dartGenerator.toFileName(apiName);
+        const models = this.dartGenerator.buildDartClasses(roots, null, fileName);
+        const client = this.generateApiClient(apiName, doc, operations, { ...options, modelsFile: `${fileName}.dart` });
+
+        return {
+            name: apiName,
+            models,
+            client,
+            modelCount: roots.length,
+            operationCount: operations.length
+        };
+    }
+
+    collectComponentRoots() {
+        const roots = [];
+
+        this.schemaReader.readDefinitions('#/components/schemas').forEach(({ name, node }) => {
+            if (node.kind === 'object') {
+                roots.push({ className: this.dartGenerator.toClassName(name), node });
+            }
+        });
+
+        return roots;
+    }
+
+    ensureRoot(roots, node, className) {
+        // Inline request and response objects have no component name, so the operation names them
+        if (!node) return;
+
+        if (node.kind === 'array') {
+            this.ensureRoot(roots, node.items, `${className}Item`);
+            return;
+        }
+
+        if (node.kind !== 'object') return;
+
+        const known = roots.some(root => root.node === node || (node.title && root.node.title === node.title));
+        if (!known) {
+            roots.push({ className, node });
+        }
+    }
+
+    collectOperations(doc, roots) {
+        const operations = [];
+        const usedNames = new Set();
+
+        Object.entries(doc.paths || {}).forEach(([path, pathItem]) => {
+            const sharedParameters = pathItem.parameters || [];
+
+            this.httpMethods.forEach(method => {
+                const operation = pathItem[method];
+                if (!operation) return;
+
+                let name = this.toMethodName(operation.operationId || this.buildOperationId(method, path));
+                const baseName = name;
+                let index = 2;
+                while (usedNames.has(name)) {
+                    name = `${baseName}${index++}`;
+                }
+                usedNames.add(name);
+
+                const typeName = this.dartGenerator.toClassName(name);
+                const parameters = this.collectParameters(sharedParameters, operation.parameters || []);
+                const body = this.readRequestBody(operation.requestBody);
+                const response = this.readResponse(operation.responses || {});
+
+                if (body) this.ensureRoot(roots, body.node, `${typeName}Request`);
+                if (response) this.ensureRoot(roots, response.node, `${typeName}Response`);
+                parameters.forEach(parameter => {
+                    this.ensureRoot(roots, parameter.node, `${typeName}${this.dartGenerator.toClassName(parameter.identifier)}`);
+                });
+
+                operations.push({
+                    name,
+                    method,
+                    path,
+                    summary: operation.summary || operation.description || '',
+                    deprecated: operation.deprecated === true,
+                    parameters,
+                    body,
+                    response
+                });
+            });
+        });
+
+        return operations;
+    }
+
+    collectParameters(sharedParameters, operationParameters) {
+        const parameters = new Map();
+
+        // Operation-level parameters override path-level ones with the same name and location
+        [...sharedParameters, ...operationParameters].forEach(parameter => {
+            const resolved = this.resolve(parameter);
+            if (!resolved || !['path', 'query', 'header'].includes(resolved.in)) return;
+
+            parameters.set(`${resolved.in}:${resolved.name}`, {
+                name: resolved.name,
+                location: resolved.in,
+                required: resolved.in === 'path' || resolved.required === true,
+                description: resolved.description || '',
+                node: this.schemaReader.readSchema(resolved.schema || {})
+            });
+        });
+
+        const usedIdentifiers = new Set();
+        return [...parameters.values()].map(parameter => {
+            let identifier = this.toMethodName(parameter.name);
+            while (usedIdentifiers.has(identifier)) {
+                identifier = `${identifier}${this.dartGenerator.toClassName(parameter.location)}`;
+            }
+            usedIdentifiers.add(identifier);
+            return { ...parameter, identifier };
+        });
+    }
+
+    readRequestBody(requestBody) {
+        const resolved = this.resolve(requestBody);
+        if (!resolved || !resolved.content) return null;
+
+        const media = this.pickJsonMedia(resolved.content);
+        if (!media) {
+            return { node: { kind: 'dynamic', nullable: true }, required: resolved.required === true };
+        }
+
+        return {
+            node: this.schemaReader.readSchema(media.schema || {}),
+            required: resolved.required === true
+        };
+    }
+
+    readResponse(responses) {
+        const successCodes = Object.keys(responses)
+            .filter(code => /^2(\d\d|XX)$/i.test(code))
+            .sort();
+        const code = successCodes[0] || (responses.default ? 'default' : null);
+        if (!code) return null;
+
+        const resolved = this.resolve(responses[code]);
+        const media = resolved && resolved.content ? this.pickJsonMedia(resolved.content) : null;
+        if (!media || !media.schema) return null;
+
+        return { node: this.schemaReader.readSchema(media.schema) };
+    }
+
+    pickJsonMedia(content) {
+        const type = Object.keys(content).find(mediaType => /^application\/(.+\+)?json/i.test(mediaType))
+            || Object.keys(content).find(mediaType => mediaType === '*/*');
+        return type ? content[type] : null;
+    }
+
+    resolve(value) {
+        // Parameters, request bodies and responses may themselves be $refs into #/components
+        let resolved = value;
+        const seen = new Set();
+        while (resolved && resolved.$ref && !seen.has(resolved.$ref)) {
+            seen.add(resolved.$ref);
+            resolved = this.schemaReader.resolvePointer(resolved.$ref);
+        }
+        return resolved;
+    }
+
+    buildOperationId(method, path) {
+        const segments = path.split('/').filter(Boolean).map(segment => {
+            const param = /^\{(.+)\}$/.exec(segment);
+            return param ? `by_${param[1]}` : segment;
+        });
+        return [method, ...segments].join('_');
+    }
+
+    toMethodName(str) {
+        const words = String(str).split(/[^a-zA-Z0-9]+/).filter(Boolean);
+        let name = words.map((word, index) => index === 0
+            ? word.charAt(0).toLowerCase() + word.slice(1)
+            : word.charAt(0).toUpperCase() + word.slice(1)
+        ).join('') || 'call';
+
+        if (/^[0-9]/.test(name)) name = `op${name}`;
+        if (this.dartGenerator.isDartKeyword(name)) name = `${name}Value`;
+        return name;
+    }
+
+    dartType(node) {
+        // Every object was given a class by ensureRoot before the models were built, so this only looks names up
+        if (!node) return 'dynamic';
+
+        if (node.kind === 'array') {
+            return node.items && node.items.kind !== 'null' ? `List<${this.dartType(node.items)}>` : 'List<dynamic>';
+        }
+        if (node.kind === 'object') {
+            const root = this.roots.find(item => item.node === node)
+                || (node.title && this.roots.find(item => item.node.title === node.title));
+            return root ? root.className : 'Map<String, dynamic>';
+        }
+        return this.dartGenerator.inferDartType(node);
+    }
+
+    generateApiClient(apiName, doc, operations, options) {
+        const className = `${apiName}Api`;
+        const baseUrl = (doc.servers && doc.servers[0] && doc.servers[0].url) || options.baseUrl || '';
+        const { modelsFile } = options;
+
+        let code = `import 'package:dio/dio.dart';\n\nimport '${modelsFile}';\n\n`;
+
+        if (options.generateError) {
+            code += '/// Custom exception for API errors\n';
+            code += 'class ApiException implements Exception {\n';
+            code += '  final String message;\n';
+            code += '  final int? statusCode;\n';
+            code += '  final dynamic data;\n\n';
+            code += '  ApiException(this.message, {this.statusCode, this.data});\n\n';
+            code += '  @override\n';
+            code += "  String toString() => 'ApiException: $message (Status: $statusCode)';\n";
+            code += '}\n\n';
+        }
+
+        const title = (doc.info && doc.info.title) || apiName;
+        code += `/// Typed client for ${title}${doc.info && doc.info.version ? ` ${doc.info.version}` : ''}\n`;
+        code += '/// Using Dio package: https://pub.dev/packages/dio\n';
+        code += `class ${className} {\n`;
+        code += '  late final Dio _dio;\n\n';
+        code += `  ${className}({Dio? dio}) {\n`;
+        code += '    _dio = dio ?? Dio(BaseOptions(\n';
+        code += `      baseUrl: '${baseUrl}',\n`;
+        code += '      connectTimeout: const Duration(seconds: 30),\n';
+        code += '      receiveTimeout: const Duration(seconds: 30),\n';
+        code += '      headers: {\n';
+        code += "        'Content-Type': 'application/json',\n";
+        code += "        'Accept': 'application/json',\n";
+        code += '      },\n';
+        code += '    ));\n';
+
+        if (options.generateInterceptor) {
+            code += '\n    // Add interceptors for logging and error handling\n';
+            code += '    _dio.interceptors.add(InterceptorsWrapper(\n';
+            code += '      onRequest: (options, handler) {\n';
+            code += "        print('[${options.method}] ${options.uri}');\n";
+            code += '        return handler.next(options);\n';
+            code += '      },\n';
+            code += '      onResponse: (response, handler) {\n';
+            code += "        print('[${response.statusCode}] ${response.requestOptions.uri}');\n";
+            code += '        return handler.next(response);\n';
+            code += '      },\n';
+            code += '      onError: (error, handler) {\n';
+            code += "        print('ERROR: ${error.message}');\n";
+            code += '        return handler.next(error);\n';
+            code += '      },\n';
+            code += '    ));\n';
+        }
+
+        code += '  }\n';
+
+        operations.forEach(operation => {
+            code += '\n' + this.generateOperation(operation, options);
+        });
+
+        code += '}\n';
+        return code;
+    }
+
+    generateOperation(operation, options) {
+        const pathParams = operation.parameters.filter(param => param.location === 'path');
+        const queryParams = operation.parameters.filter(param => param.location === 'query');
+        const headerParams = operation.parameters.filter(param => param.location === 'header');
+        const returnType = operation.response ? this.dartType(operation.response.node) : 'void';
+
+        // Path parameters are positional; body, query and header parameters are named
+        const positional = pathParams.map(param => `${this.dartType(param.node)} ${param.identifier}`);
+        const named = [];
+        if (operation.body) {
+            const bodyType = this.dartType(operation.body.node);
+            named.push(operation.body.required ? `required ${bodyType} body` : `${this.optionalType(bodyType)} body`);
+        }
+        [...queryParams, ...headerParams].forEach(param => {
+            const type = this.dartType(param.node);
+            named.push(param.required ? `required ${type} ${param.identifier}` : `${this.optionalType(type)} ${param.identifier}`);
+        });
+
+        const signature = [...positional];
+        if (named.length > 0) {
+            signature.push(`{${named.join(', ')}}`);
+        }
+
+        const requestLines = [`'${this.interpolatePath(operation.path, pathParams)}'`];
+        if (operation.body) {
+            const bodyValue = this.serializeValue('body', this.dartType(operation.body.node), !operation.body.required);
+            requestLines.push(`data: ${bodyValue}`);
+        }
+        if (queryParams.length > 0) {
+            requestLines.push(`queryParameters: <String, dynamic>{\n${this.mapEntries(queryParams, '          ')}        }`);
+        }
+
+        const optionParts = [];
+        if (!['get', 'post', 'put', 'patch', 'delete', 'head'].includes(operation.method)) {
+            optionParts.push(`method: '${operation.method.toUpperCase()}'`);
+        }
+        if (headerParams.length > 0) {
+            optionParts.push(`headers: <String, dynamic>{\n${this.mapEntries(headerParams, '            ')}          }`);
+        }
+        if (optionParts.length > 0) {
+            requestLines.push(`options: Options(\n          ${optionParts.join(',\n          ')},\n        )`);
+        }
+
+        const dioCall = optionParts.some(part => part.startsWith('method:')) ? 'request' : operation.method;
+        const indent = options.generateError ? '      ' : '    ';
+
+        const assignment = returnType === 'void' ? '' : 'final response = ';
+        let body = `${indent}${assignment}await _dio.${dioCall}<dynamic>(\n`;
+        body += requestLines.map(line => `${indent}  ${line.replace(/\n {8}/g, `\n${indent}  `)},\n`).join('');
+        body += `${indent});\n`;
+        if (returnType !== 'void') {
+            body += `${indent}return ${this.deserializeValue('response.data', returnType, indent)};\n`;
+        }
+
+        let method = '';
+        if (operation.summary) {
+            method += operation.summary.split('\n').filter(Boolean).map(line => `  /// ${line.trim()}\n`).join('');
+        }
+        if (operation.deprecated) {
+            method += '  @Deprecated(\'Marked deprecated in the OpenAPI document\')\n';
+        }
+        method += `  Future<${returnType}> ${operation.name}(${signature.join(', ')}) async {\n`;
+
+        if (options.generateError) {
+            method += '    try {\n';
+            method += body;
+            method += '    } on DioException catch (e) {\n';
+            method += '      throw ApiException(\n';
+            method += "        e.message ?? 'Network error occurred',\n";
+            method += '        statusCode: e.response?.statusCode,\n';
+            method += '        data: e.response?.data,\n';
+            method += '      );\n';
+            method += '    }\n';
+        } else {
+            method += body;
+        }
+
+        method += '  }\n';
+        return method;
+    }
+
+    optionalType(type) {
+        return type === 'dynamic' ? type : `${type}?`;
+    }
+
+    interpolatePath(path, pathParams) {
+        return path.replace(/\{([^}]+)\}/g, (match, name, offset) => {
+            const param = pathParams.find(item => item.name === name);
+            if (!param) return match;
+
+            // Braces are only needed when an identifier character follows the placeholder
+            const next = path.charAt(offset + match.length);
+            return /[a-zA-Z0-9_]/.test(next) ? `\${${param.identifier}}` : `$${param.identifier}`;
+        });
+    }
+
+    mapEntries(params, indent) {
+        return params.map(param => {
+            const value = this.serializeValue(param.identifier, this.dartType(param.node), !param.required);
+            return param.required
+                ? `${indent}'${param.name}': ${value},\n`
+                : `${indent}if (${param.identifier} != null) '${param.name}': ${value},\n`;
+        }).join('');
+    }
+
+    serializeValue(expression, type, nullable) {
+        const access = nullable ? '?.' : '.';
+        if (this.dartGenerator.isModelType(type)) {
+            return `${expression}${access}toJson()`;
+        }
+        const item = type.startsWith('List<') ? this.dartGenerator.convertToJson(this.dartGenerator.getListItemType(type), 'e', 1) : null;
+        if (item !== null) {
+            return `${expression}${access}map((e) => ${item}).toList()`;
+        }
+        return expression;
+    }
+
+    deserializeValue(expression, type, indent = '    ') {
+        if (this.dartGenerator.isModelType(type)) {
+            return `${type}.fromJson(${expression} as Map<String, dynamic>)`;
+        }
+
+        if (this.dartGenerator.needsListConversion(type)) {
+            const item = this.dartGenerator.convertFromJson(this.dartGenerator.getListItemType(type), 'e', 1);
+            return `(${expression} as List<dynamic>)\n${indent}    .map((e) => ${item})\n${indent}    .toList()`;
+        }
+
+        const listItemType = this.dartGenerator.getListItemType(type);
+        if (listItemType) {
+            return `(${expression} as List<dynamic>).cast<${listItemType}>()`;
+        }
+
+        if (type === 'dynamic') {
+            return expression;
+        }
+
+        if (type === 'double') {
+            return `(${expression} as num).toDouble()`;
+        }
+
+        return `${expression} as ${type}`;
+    }
+}
+
+export { OpenApiImporter };
\ No newline at end of file
@@ -0,0 +1,112 @@
+// Options Panel - Renders a generator's options schema as checkboxes, selects, number and text inputs
+class OptionsPanel {
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+        // Values outlive a generator switch, so options shared by several generators keep their state
+        this.values = {};
+    }
+
+    render(plugin) {
+        this.container.innerHTML = '';
+        const columns = [document.createElement('div'), document.createElement('div')];
+        columns.forEach(column => {
+            column.className = 'options-column';
+        });
+
+        const half = Math.ceil(plugin.options.length / 2);
+        plugin.options.forEach((option, index) => {
+            if (!(option.key in this.values)) {
+                this.values[option.key] = option.default;
+            }
+            columns[index < half ? 0 : 1].appendChild(this.createItem(option));
+        });
+
+        this.container.append(...columns);
+    }
+
+    createItem(option) {
+        const item = document.createElement('div');
+        item.className = `checkbox-item${option.highlight ? ` ${option.highlight}` : ''}`;
+
+        const id = `option-${option.key}`;
+        let input;
+        if (option.type === 'boolean') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = Boolean(this.values[option.key]);
+            input.addEventListener('change', () => this.update(option.key, input.checked));
+        } else if (option.type === 'select') {
+            input = document.createElement('select');
+            input.className = 'storage-backend-select';
+            option.choices.forEach(choice => input.add(new Option(choice.label, choice.value)));
+            input.value = this.values[option.key];
+            input.addEventListener('change', () => this.update(option.key, input.value));
+        } else if (option.type === 'number') {
+            input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.className = 'storage-backend-select';
+            input.value = String(this.values[option.key]);
+            input.addEventListener('input', () => this.update(option.key, Number.parseInt(input.value, 10) || 0));
+        } else {
+            input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'storage-backend-select';
+            input.value = this.values[option.key] || '';
+            input.addEventListener('input', () => this.update(option.key, input.value));
+        }
+        input.id = id;
+
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        this.appendLabelText(label, option.label || option.key);
+        if (option.tooltip) {
+            const tooltip = document.createElement('span');
+            tooltip.className = 'tooltip';
+            tooltip.textContent = ' ⓘ';
+            const text = document.createElement('span');
+            text.className = 'tooltip-text';
+            text.textContent = option.tooltip;
+            tooltip.appendChild(text);
+            label.appendChild(tooltip);
+        }
+
+        // Checkboxes sit before their label, other inputs after it
+        if (option.type === 'boolean') {
+            item.append(input, label);
+        } else {
+            item.append(label, input);
+        }
+        return item;
+    }
+
+    appendLabelText(label, text) {
+        // Labels come from plugins, so they are set as text; `backticked` words are shown as code
+        text.split('`').forEach((part, index) => {
+            if (index % 2 === 0) {
+                label.append(part);
+                return;
+            }
+            const code = document.createElement('span');
+            code.className = 'code';
+            code.textContent = part;
+            label.appendChild(code);
+        });
+    }
+
+    update(key, value) {
+        this.values[key] = value;
+        this.onChange();
+    }
+
+    getValues() {
+        return { ...this.values };
+    }
+
+    setValues(values) {
+        this.values = { ...this.values, ...values };
+    }
+}
+
+export { OptionsPanel };
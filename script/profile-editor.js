@@ -0,0 +1,102 @@
+// Profile Editor - Form for the base class, imports, id field, storage calls and helper names of a Model New profile
+class ProfileEditor {
+    constructor(container, onSave) {
+        this.container = container;
+        this.onSave = onSave;
+        this.fields = [
+            { path: 'name', label: 'Profile name' },
+            { path: 'baseClass', label: 'Base class', placeholder: 'Empty for no base class' },
+            { path: 'imports', label: 'Imports', multiline: true },
+            { path: 'idField', label: 'ID field', placeholder: 'JSON key read into the inherited id; empty for none' },
+            { path: 'asyncStorage', label: 'Storage calls return a Future', checkbox: true },
+            { path: 'storage.save', label: 'Save call', placeholder: "e.g. Hive.box('app').put('{{key}}', {{value}})" },
+            { path: 'storage.get', label: 'Load call', placeholder: "e.g. Hive.box('app').get('{{key}}')" },
+            { path: 'storage.remove', label: 'Remove call', placeholder: "e.g. Hive.box('app').delete('{{key}}')" },
+            { path: 'helpers.string', label: 'String helper' },
+            { path: 'helpers.int', label: 'int helper' },
+            { path: 'helpers.double', label: 'double helper' },
+            { path: 'helpers.bool', label: 'bool helper' }
+        ];
+    }
+
+    open(profile) {
+        this.profileId = profile.id || null;
+        this.inputs = new Map();
+        this.container.innerHTML = '';
+
+        const form = document.createElement('div');
+        form.className = 'profile-form';
+
+        this.fields.forEach(field => {
+            const label = document.createElement('label');
+            label.textContent = field.label;
+
+            let input;
+            if (field.multiline) {
+                input = document.createElement('textarea');
+                input.rows = 4;
+            } else {
+                input = document.createElement('input');
+                input.type = field.checkbox ? 'checkbox' : 'text';
+                input.placeholder = field.placeholder || '';
+            }
+
+            const value = this.getValue(profile, field.path);
+            if (field.checkbox) {
+                input.checked = Boolean(value);
+            } else {
+                input.value = value || '';
+            }
+
+            this.inputs.set(field.path, input);
+            form.append(label, input);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'template-editor-actions';
+        const help = document.createElement('span');
+        help.className = 'template-help';
+        help.textContent = 'Storage calls use {{key}} (the lowercase class name) and {{value}} (the encoded JSON).';
+        actions.append(
+            help,
+            this.createButton('Close', () => this.close()),
+            this.createButton('Save profile', () => this.onSave(this.read()))
+        );
+
+        this.container.append(form, actions);
+        this.container.classList.add('active');
+    }
+
+    close() {
+        this.container.classList.remove('active');
+    }
+
+    read() {
+        const profile = { id: this.profileId || undefined, storage: {}, helpers: {} };
+        this.fields.forEach(field => {
+            const input = this.inputs.get(field.path);
+            this.setValue(profile, field.path, field.checkbox ? input.checked : input.value.trim());
+        });
+        return profile;
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.className = 'template-btn';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    getValue(object, path) {
+        return path.split('.').reduce((value, key) => (value ? value[key] : undefined), object);
+    }
+
+    setValue(object, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        keys.reduce((target, key) => target[key], object)[last] = value;
+    }
+}
+
+export { ProfileEditor };
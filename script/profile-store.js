@@ -0,0 +1,33 @@
+// Profile Store - Saved ModelNewGenerator project profiles (base class, imports, id, storage API, helpers)
+import { TemplateStore } from './template-store.js';
+import { ModelNewGenerator } from './model-new-generator.js';
+
+class ProfileStore extends TemplateStore {
+    constructor() {
+        super('dart-converter-profiles', 'profile');
+    }
+
+    validate(profile) {
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+            throw new Error('A profile must be a JSON object');
+        }
+        if (typeof profile.name !== 'string' || !profile.name.trim()) {
+            throw new Error('A profile needs a name');
+        }
+
+        const resolved = ModelNewGenerator.resolveProfile(profile);
+        const identifier = /^[A-Za-z_$][A-Za-z0-9_$.]*$/;
+
+        if (resolved.baseClass && !identifier.test(resolved.baseClass.trim())) {
+            throw new Error(`"${resolved.baseClass}" is not a valid base class name`);
+        }
+        Object.entries(resolved.helpers).forEach(([type, helper]) => {
+            if (!identifier.test(helper)) {
+                throw new Error(`The ${type} helper "${helper}" is not a valid function name`);
+            }
+        });
+        Object.values(resolved.storage).forEach(call => this.templateEngine.parse(call));
+    }
+}
+
+export { ProfileStore };
@@ -0,0 +1,221 @@
+// Project Config - Reads, checks and writes json2dart.config.json, the shared generator settings of a project
+import { FieldOverrides } from './field-overrides.js';
+import { ModelConverter } from './model-converter.js';
+import { generatorRegistry } from './generators.js';
+
+class ProjectConfig {
+    static get fileName() {
+        return 'json2dart.config.json';
+    }
+
+    static createDefault() {
+        // Mirrors the defaults of the web UI; docs/project-config.md describes every entry
+        return {
+            version: 1,
+            mode: 'dart',
+            input: 'samples',
+            naming: 'camelCase',
+            nullSafety: 'infer',
+            imports: [],
+            options: {
+                generateToJson: true,
+                generateCopyWith: true,
+                generateToString: true,
+                generateKeys: true,
+                useNum: false,
+                useSerializable: true,
+                useEquatable: true,
+                generateComment: false,
+                detectEnums: true,
+                detectSpecialTypes: true,
+                rawFields: [],
+                splitFiles: false,
+                generateTests: false
+            },
+            modelNew: {
+                singletonPattern: false,
+                localSave: true,
+                localClear: true,
+                localGet: true,
+                storageBackend: 'prefs',
+                hiveTypeId: 0,
+                profile: null
+            },
+            template: null,
+            overrides: {},
+            paths: {
+                input: '',
+                output: 'lib/models',
+                tests: 'test'
+            }
+        };
+    }
+
+    static parse(text) {
+        let config;
+        try {
+            config = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${ProjectConfig.fileName} is not valid JSON: ${error.message}`);
+        }
+
+        ProjectConfig.validate(config);
+        return ProjectConfig.resolve(config);
+    }
+
+    static resolve(config) {
+        // Missing sections and options keep their defaults
+        const defaults = ProjectConfig.createDefault();
+        return {
+            ...defaults,
+            ...config,
+            options: { ...defaults.options, ...config.options },
+            modelNew: { ...defaults.modelNew, ...config.modelNew },
+            paths: { ...defaults.paths, ...config.paths },
+            overrides: { ...config.overrides }
+        };
+    }
+
+    static validate(config) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error(`${ProjectConfig.fileName} must contain a JSON object`);
+        }
+
+        const oneOf = (name, value, allowed) => {
+            if (value !== undefined && !allowed.includes(value)) {
+                throw new Error(`"${name}" must be one of ${allowed.map(item => `"${item}"`).join(', ')}`);
+            }
+        };
+        oneOf('mode', config.mode, generatorRegistry.list().map(plugin => plugin.id));
+        oneOf('input', config.input, ['samples', 'schema']);
+        oneOf('naming', config.naming, ['camelCase', 'preserve']);
+        oneOf('nullSafety', config.nullSafety, ['infer', 'nullable', 'required', 'defaults']);
+        oneOf('modelNew.storageBackend', (config.modelNew || {}).storageBackend, ['prefs', 'hive', 'sqflite', 'isar']);
+        const typeId = (config.modelNew || {}).hiveTypeId;
+        if (typeId !== undefined && !(Number.isInteger(typeId) && typeId >= 0 && typeId <= 223)) {
+            throw new Error('"modelNew.hiveTypeId" must be a whole number from 0 to 223');
+        }
+
+        if (config.imports !== undefined && (!Array.isArray(config.imports) || config.imports.some(line => typeof line !== 'string'))) {
+            throw new Error('"imports" must be a list of import lines');
+        }
+
+        const defaults = ProjectConfig.createDefault();
+        Object.entries(config.options || {}).forEach(([name, value]) => {
+            // Besides the built-in entries, every option a registered generator declares is accepted
+            const option = generatorRegistry.findOption(name);
+            if (!(name in defaults.options) && !option) {
+                throw new Error(`Unknown option "options.${name}"`);
+            }
+            if (name === 'rawFields') {
+                if (!Array.isArray(value)) throw new Error('"options.rawFields" must be a list of JSON keys');
+            } else if (option && option.type === 'select') {
+                oneOf(`options.${name}`, value, option.choices.map(choice => choice.value));
+            } else if (option && option.type === 'number') {
+                if (typeof value !== 'number') throw new Error(`"options.${name}" must be a number`);
+            } else if (option && option.type === 'text' ? typeof value !== 'string' : typeof value !== 'boolean') {
+                throw new Error(`"options.${name}" must be ${option && option.type === 'text' ? 'a string' : 'true or false'}`);
+            }
+        });
+
+        if (config.template && (typeof config.template !== 'object' || typeof config.template.classTemplate !== 'string')) {
+            throw new Error('"template" must be a template object with a classTemplate');
+        }
+
+        Object.entries(config.overrides || {}).forEach(([path, fields]) => {
+            if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+                throw new Error(`"overrides.${path}" must map JSON keys to field overrides`);
+            }
+            Object.entries(fields).forEach(([key, override]) => {
+                const error = FieldOverrides.checkName(override && override.name);
+                if (error) {
+                    throw new Error(`"overrides.${path}.${key}.name": ${error}`);
+                }
+            });
+        });
+    }
+
+    static toSettings(config) {
+        // Flattens the config into the settings object ModelConverter and the generators read
+        const resolved = ProjectConfig.resolve(config);
+        const fieldOverrides = {};
+        Object.entries(resolved.overrides).forEach(([path, fields]) => {
+            Object.entries(fields).forEach(([key, override]) => {
+                fieldOverrides[FieldOverrides.keyFor(path, key)] = { ...override };
+            });
+        });
+
+        return {
+            ...resolved.options,
+            ...resolved.modelNew,
+            generator: resolved.mode,
+            template: resolved.mode === 'template' ? resolved.template : null,
+            inputMode: resolved.input,
+            keyNaming: resolved.naming,
+            nullSafety: resolved.nullSafety,
+            extraImports: resolved.imports,
+            fieldOverrides
+        };
+    }
+
+    static pickGeneratorOptions(settings) {
+        // The values of every option a registered generator declares
+        const values = {};
+        generatorRegistry.list().forEach(plugin => {
+            plugin.options.forEach(option => {
+                if (settings[option.key] !== undefined) {
+                    values[option.key] = settings[option.key];
+                }
+            });
+        });
+        return values;
+    }
+
+    static fromSettings(settings, paths) {
+        // The reverse of toSettings, used to download the current UI state
+        const config = ProjectConfig.createDefault();
+        Object.keys(config.options).forEach(name => {
+            if (settings[name] !== undefined) config.options[name] = settings[name];
+        });
+        Object.entries(ProjectConfig.pickGeneratorOptions(settings)).forEach(([name, value]) => {
+            if (name in config.modelNew) {
+                config.modelNew[name] = value;
+            } else {
+                config.options[name] = value;
+            }
+        });
+        if (settings.profile !== undefined) {
+            config.modelNew.profile = settings.profile;
+        }
+
+        config.mode = ModelConverter.getGeneratorId(settings);
+        if (settings.template) {
+            const template = { ...settings.template };
+            delete template.id;
+            config.template = template;
+        }
+        if (config.modelNew.profile) {
+            const profile = { ...config.modelNew.profile };
+            delete profile.id;
+            config.modelNew.profile = profile;
+        }
+
+        // The web UI's Dart class input has no CLI counterpart and is left out
+        config.input = settings.inputMode && settings.inputMode !== 'dart' ? settings.inputMode : config.input;
+        config.naming = settings.keyNaming || config.naming;
+        config.nullSafety = settings.nullSafety || config.nullSafety;
+        config.imports = [...(settings.extraImports || [])];
+
+        Object.entries(settings.fieldOverrides || {}).forEach(([id, override]) => {
+            // The JSON key is the last part of the id, the path to its object the rest
+            const separator = id.lastIndexOf('.');
+            const path = id.slice(0, separator);
+            config.overrides[path] = { ...config.overrides[path], [id.slice(separator + 1)]: override };
+        });
+
+        config.paths = { ...config.paths, ...paths };
+        return config;
+    }
+}
+
+export { ProjectConfig };
@@ -1,4 +1,8 @@
 // Mock QuickType functionality for JSON to Dart conversion
+import { TypeInference } from './type-inference.js';
+import { KeyMapper } from './key-mapper.js';
+import { DartGenerator } from './dart-generator.js';
+
 class QuickTypeMock {
     static async runQuickType(className, jsonString, options) {
         try {
@@ -12,14 +16,21 @@ class QuickTypeMock {
     static generateDartClass(className, jsonObj, options) {
         let dartCode = '';
 
-        // Add imports if needed
+        // Add imports if needed; Dart wants every import before the part directive
         if (options.useSerializable) {
-            dartCode += "import 'package:json_annotation/json_annotation.dart';\n\n";
-            dartCode += `part '${className.toLowerCase()}.g.dart';\n\n`;
+            dartCode += "import 'package:json_annotation/json_annotation.dart';\n";
         }
 
         if (options.useEquatable) {
-            dartCode += "import 'package:equatable/equatable.dart';\n\n";
+            dartCode += "import 'package:equatable/equatable.dart';\n";
+        }
+
+        if (options.useSerializable) {
+            dartCode += `\npart '${new DartGenerator().toFileName(className)}.g.dart';\n`;
+        }
+
+        if (dartCode) {
+            dartCode += '\n';
         }
 
         // Add class annotations
@@ -31,8 +42,13 @@ class QuickTypeMock {
         const extendsClause = options.useEquatable ? ' extends Equatable' : '';
         dartCode += `class ${className}${extendsClause} {\n`;
 
-        // Generate properties
-        const properties = this.extractProperties(jsonObj, options);
+        // Generate properties from every sample, not just the first
+        const samples = Array.isArray(jsonObj) ? jsonObj : [jsonObj];
+        const rootNode = new TypeInference().inferFromSamples(samples);
+        if (!rootNode || rootNode.kind !== 'object') {
+            throw new Error('Root value must be an object or an array of objects');
+        }
+        const properties = this.extractProperties(rootNode, options);
         properties.forEach(prop => {
             if (options.generateKey && options.useSerializable) {
                 dartCode += `  @JsonKey(name: '${prop.jsonKey}')\n`;
@@ -123,15 +139,18 @@ class QuickTypeMock {
         return dartCode;
     }
 
-    static extractProperties(obj, options, prefix = '') {
+    static extractProperties(objectNode, options) {
+        const inference = new TypeInference();
+        const keyMapper = new KeyMapper();
+        const names = keyMapper.mapKeys(objectNode.fields.map(field => field.key), options.keyNaming);
         const properties = [];
 
-        for (const [key, value] of Object.entries(obj)) {
+        for (const field of objectNode.fields) {
             const prop = {
-                name: this.toCamelCase(key),
-                jsonKey: key,
-                type: this.getDartType(value, options),
-                nullable: value === null
+                name: names.get(field.key),
+                jsonKey: keyMapper.escape(field.key),
+                type: this.getDartType(field.node, options),
+                nullable: field.node.nullable || inference.isOptional(field, objectNode)
             };
             properties.push(prop);
         }
@@ -139,27 +158,27 @@ class QuickTypeMock {
         return properties;
     }
 
-    static getDartType(value, options) {
-        if (value === null) return 'dynamic';
+    static getDartType(node, options) {
+        if (!node || node.kind === 'null' || node.kind === 'dynamic') return 'dynamic';
 
-        switch (typeof value) {
+        switch (node.kind) {
             case 'string':
                 return options.useDefaultValue ? 'String' : 'String?';
-            case 'number':
+            case 'int':
+            case 'double':
                 if (options.useNum) {
                     return options.useDefaultValue ? 'num' : 'num?';
                 }
-                return Number.isInteger(value)
-                    ? (options.useDefaultValue ? 'int' : 'int?')
-                    : (options.useDefaultValue ? 'double' : 'double?');
-            case 'boolean':
+                return options.useDefaultValue ? node.kind : `${node.kind}?`;
+            case 'bool':
                 return options.useDefaultValue ? 'bool' : 'bool?';
+            case 'array': {
+                if (!node.items || node.items.kind === 'null') return 'List<dynamic>';
+                const itemType = this.getDartType(node.items, options);
+                return `List<${itemType.replace('?', '')}>`;
+            }
             case 'object':
-                if (Array.isArray(value)) {
-                    if (value.length === 0) return 'List<dynamic>';
-                    const itemType = this.getDartType(value[0], options);
-                    return `List<${itemType.replace('?', '')}>`;
-                }
+            case 'map':
                 return 'Map<String, dynamic>';
             default:
                 return 'dynamic';
@@ -207,5 +226,4 @@ class QuickTypeMock {
     }
 }
 
-// Make it available globally
-window.QuickType = QuickTypeMock;
\ No newline at end of file
+export { QuickTypeMock as QuickType };
\ No newline at end of file
@@ -0,0 +1,165 @@
+// Reverse Generator - Turns a pasted Dart model class into a sample JSON document and a JSON Schema
+import { DartClassReader } from './dart-class-reader.js';
+import { DartGenerator } from './dart-generator.js';
+
+class DartReverseGenerator {
+    constructor() {
+        this.reader = new DartClassReader();
+        this.dartGenerator = new DartGenerator();
+        // JSON shapes of the types DartSpecialTypes writes; epoch 0 matches their fallback values
+        this.specialTypes = {
+            DateTime: { sample: new Date(0).toISOString(), schema: { type: 'string', format: 'date-time' } },
+            Uri: { sample: 'https://example.com', schema: { type: 'string', format: 'uri' } },
+            Duration: { sample: 0, schema: { type: 'integer' } }
+        };
+        this.schemaTypes = { String: 'string', int: 'integer', double: 'number', num: 'number', bool: 'boolean' };
+    }
+
+    generate(className, source) {
+        const model = this.reader.read(source);
+        const rootName = this.findRootClass(className, model);
+        this.model = model;
+
+        return {
+            rootName,
+            classes: model.classes,
+            sample: this.buildSample(rootName, []),
+            schema: this.buildSchema(rootName)
+        };
+    }
+
+    findRootClass(className, model) {
+        // The class named in the class name field, otherwise the one no other class refers to
+        if (model.classes.has(className)) return className;
+
+        const referenced = new Set();
+        model.classes.forEach(modelClass => {
+            modelClass.properties.forEach(prop => {
+                this.collectTypeNames(this.reader.parseType(prop.type), referenced);
+            });
+        });
+        const names = [...model.classes.keys()];
+        return names.find(name => !referenced.has(name)) || names[0];
+    }
+
+    collectTypeNames(type, names) {
+        names.add(type.name);
+        type.args.forEach(arg => this.collectTypeNames(arg, names));
+    }
+
+    buildSample(className, stack) {
+        const sample = {};
+        this.model.classes.get(className).properties.forEach(prop => {
+            sample[prop.key] = this.sampleValue(this.reader.parseType(prop.type), [...stack, className]);
+        });
+        return sample;
+    }
+
+    sampleValue(type, stack) {
+        if (['List', 'Set', 'Iterable'].includes(type.name)) {
+            const item = type.args[0] && type.args[0].name !== 'dynamic' ? this.sampleValue(type.args[0], stack) : null;
+            return item === null ? [] : [item];
+        }
+        if (type.name === 'Map') {
+            return {};
+        }
+        if (this.model.classes.has(type.name)) {
+            // A class that contains itself ends the recursion with null
+            return stack.includes(type.name) ? null : this.buildSample(type.name, stack);
+        }
+        if (this.model.enums.has(type.name)) {
+            const values = this.model.enums.get(type.name).values;
+            return values.length ? values[0] : null;
+        }
+        if (this.specialTypes[type.name]) {
+            return this.specialTypes[type.name].sample;
+        }
+        if (type.name === 'double') {
+            // jsonEncode writes 0.0 as 0, which reads back as an int
+            return 0.5;
+        }
+        return this.toJsonValue(this.dartGenerator.getDefaultValue(type.name));
+    }
+
+    toJsonValue(literal) {
+        // getDefaultValue returns Dart source: '' , 0, 0.0, false or null
+        if (literal === "''") return '';
+        if (literal === 'null') return null;
+        return JSON.parse(literal);
+    }
+
+    buildSchema(rootName) {
+        const defs = {};
+        this.schemaRoot = rootName;
+        const root = this.buildObjectSchema(rootName, defs);
+        const schema = {
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            title: rootName,
+            ...root
+        };
+        if (Object.keys(defs).length > 0) {
+            schema.$defs = defs;
+        }
+        return schema;
+    }
+
+    buildObjectSchema(className, defs) {
+        const properties = {};
+        const required = [];
+        this.model.classes.get(className).properties.forEach(prop => {
+            properties[prop.key] = this.typeSchema(this.reader.parseType(prop.type), prop.nullable, defs);
+            if (!prop.nullable && !prop.optional) {
+                required.push(prop.key);
+            }
+        });
+
+        const schema = { type: 'object', properties };
+        if (required.length > 0) {
+            schema.required = required;
+        }
+        return schema;
+    }
+
+    typeSchema(type, nullable, defs) {
+        let schema;
+        if (['List', 'Set', 'Iterable'].includes(type.name)) {
+            schema = { type: 'array' };
+            if (type.args[0] && type.args[0].name !== 'dynamic') {
+                schema.items = this.typeSchema(type.args[0], type.args[0].nullable, defs);
+            }
+            if (type.name === 'Set') {
+                schema.uniqueItems = true;
+            }
+        } else if (type.name === 'Map') {
+            const value = type.args[1];
+            schema = { type: 'object' };
+            if (value && value.name !== 'dynamic') {
+                schema.additionalProperties = this.typeSchema(value, value.nullable, defs);
+            }
+        } else if (this.model.classes.has(type.name)) {
+            // Nested classes live under $defs, so shared and recursive classes are written once
+            if (type.name !== this.schemaRoot && !defs[type.name]) {
+                defs[type.name] = {};
+                defs[type.name] = { title: type.name, ...this.buildObjectSchema(type.name, defs) };
+            }
+            schema = { $ref: type.name === this.schemaRoot ? '#' : `#/$defs/${type.name}` };
+        } else if (this.model.enums.has(type.name)) {
+            const values = this.model.enums.get(type.name).values;
+            schema = { type: values.every(value => typeof value === 'number') ? 'number' : 'string', enum: values };
+        } else if (this.specialTypes[type.name]) {
+            schema = { ...this.specialTypes[type.name].schema };
+        } else if (this.schemaTypes[type.name]) {
+            schema = { type: this.schemaTypes[type.name] };
+        } else {
+            // dynamic, Object and types defined outside the pasted code accept any value
+            return {};
+        }
+
+        if (!nullable) return schema;
+        if (schema.$ref) return { anyOf: [schema, { type: 'null' }] };
+        if (schema.enum) schema.enum = [...schema.enum, null];
+        return { ...schema, type: [schema.type, 'null'] };
+    }
+}
+
+export { DartReverseGenerator };
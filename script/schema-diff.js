@@ -0,0 +1,204 @@
+// Schema Diff - Compares two inferred models field by field, flags breaking changes and diffs generated code
+import { TypeInference } from './type-inference.js';
+
+class SchemaDiff {
+    constructor() {
+        this.typeInference = new TypeInference();
+        // Lines of unchanged code kept around each change in the code diff
+        this.contextLines = 3;
+    }
+
+    compare(before, after) {
+        // Breaking means code generated from "before" can fail on payloads shaped like "after"
+        const changes = [];
+        this.compareNodes(before, after, '', changes);
+        return changes;
+    }
+
+    compareNodes(before, after, path, changes) {
+        if (before.kind === 'object' && after.kind === 'object') {
+            this.compareFields(before, after, path, changes);
+        } else if (before.kind === 'array' && after.kind === 'array' && before.items && after.items) {
+            // Empty arrays carry no item type, so there is nothing to compare
+            this.compareValues(before.items, after.items, `${path}[]`, changes);
+        }
+    }
+
+    compareFields(before, after, path, changes) {
+        const afterFields = new Map(after.fields.map(field => [field.key, field]));
+        const beforeKeys = new Set(before.fields.map(field => field.key));
+
+        before.fields.forEach(field => {
+            const fieldPath = path ? `${path}.${field.key}` : field.key;
+            const beforeNullable = this.isNullable(field, before);
+            const match = afterFields.get(field.key);
+
+            if (!match) {
+                changes.push({
+                    path: fieldPath,
+                    change: 'removed',
+                    before: this.describe(field.node, beforeNullable),
+                    after: null,
+                    // A nullable field already handles the key being absent
+                    breaking: !beforeNullable
+                });
+                return;
+            }
+
+            this.compareValues(
+                { ...field.node, nullable: beforeNullable },
+                { ...match.node, nullable: this.isNullable(match, after) },
+                fieldPath,
+                changes
+            );
+        });
+
+        after.fields.forEach(field => {
+            if (beforeKeys.has(field.key)) return;
+            changes.push({
+                path: path ? `${path}.${field.key}` : field.key,
+                change: 'added',
+                before: null,
+                after: this.describe(field.node, this.isNullable(field, after)),
+                breaking: false
+            });
+        });
+    }
+
+    compareValues(before, after, path, changes) {
+        const beforeType = this.describe(before, before.nullable);
+        const afterType = this.describe(after, after.nullable);
+
+        // Keys that were always null or mixed types were generated as dynamic and accept anything
+        const untyped = ['null', 'dynamic'];
+        if (untyped.includes(before.kind)) {
+            if (beforeType !== afterType) {
+                changes.push({ path, change: 'type', before: beforeType, after: afterType, breaking: false });
+            }
+            return;
+        }
+
+        if (after.kind === 'null') {
+            changes.push({ path, change: 'nullability', before: beforeType, after: afterType, breaking: !before.nullable });
+            return;
+        }
+
+        if (before.kind !== after.kind || this.lostFormat(before, after)) {
+            changes.push({ path, change: 'type', before: beforeType, after: afterType, breaking: !this.isWidening(before, after) });
+            return;
+        }
+
+        if (before.nullable !== after.nullable) {
+            changes.push({ path, change: 'nullability', before: beforeType, after: afterType, breaking: after.nullable });
+        }
+        this.compareNodes(before, after, path, changes);
+    }
+
+    lostFormat(before, after) {
+        // A date or URL string that stops matching its format no longer parses into DateTime or Uri
+        return before.kind === 'string' && Boolean(before.format) && before.format !== after.format;
+    }
+
+    isWidening(before, after) {
+        // Generated code reads doubles as num, so whole numbers still parse
+        return before.kind === 'double' && after.kind === 'int';
+    }
+
+    isNullable(field, objectNode) {
+        return field.node.nullable || this.typeInference.isOptional(field, objectNode);
+    }
+
+    describe(node, nullable) {
+        let type;
+        switch (node.kind) {
+            case 'array':
+                type = `List<${node.items ? this.describe(node.items, node.items.nullable) : 'dynamic'}>`;
+                break;
+            case 'string':
+                type = node.format ? `String (${node.format})` : 'String';
+                break;
+            case 'object':
+                type = node.title || 'object';
+                break;
+            default:
+                type = node.kind;
+        }
+        return nullable && !['null', 'dynamic'].includes(node.kind) ? `${type}?` : type;
+    }
+
+    diffLines(before, after) {
+        // Longest common subsequence over lines; generated models are small enough for the full table
+        const a = before.split('\n');
+        const b = after.split('\n');
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const lines = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                lines.push({ type: 'same', text: a[i++] });
+                j++;
+            } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+                // Removed lines come before the lines that replace them
+                lines.push({ type: 'removed', text: a[i++] });
+            } else {
+                lines.push({ type: 'added', text: b[j++] });
+            }
+        }
+        return lines;
+    }
+
+    toHunks(lines) {
+        // Groups changed lines with their context, like the hunks of a unified diff
+        const hunks = [];
+        let hunk = null;
+        let beforeLine = 1;
+        let afterLine = 1;
+        let lastChange = -Infinity;
+
+        const nextChange = new Array(lines.length);
+        let next = Infinity;
+        for (let index = lines.length - 1; index >= 0; index--) {
+            if (lines[index].type !== 'same') next = index;
+            nextChange[index] = next;
+        }
+
+        lines.forEach((line, index) => {
+            const nearChange = index - lastChange <= this.contextLines || nextChange[index] - index <= this.contextLines;
+
+            if (nearChange) {
+                if (!hunk) {
+                    hunk = { beforeStart: beforeLine, afterStart: afterLine, lines: [] };
+                    hunks.push(hunk);
+                }
+                hunk.lines.push(line);
+            } else {
+                hunk = null;
+            }
+
+            if (line.type !== 'same') lastChange = index;
+            if (line.type !== 'added') beforeLine++;
+            if (line.type !== 'removed') afterLine++;
+        });
+
+        return hunks;
+    }
+
+    formatUnified(lines) {
+        const prefixes = { same: ' ', added: '+', removed: '-' };
+        return this.toHunks(lines).map(hunk => {
+            const beforeCount = hunk.lines.filter(line => line.type !== 'added').length;
+            const afterCount = hunk.lines.filter(line => line.type !== 'removed').length;
+            const header = `@@ -${hunk.beforeStart},${beforeCount} +${hunk.afterStart},${afterCount} @@`;
+            return [header, ...hunk.lines.map(line => prefixes[line.type] + line.text)].join('\n');
+        }).join('\n');
+    }
+}
+
+export { SchemaDiff };
@@ -1,12 +1,37 @@
+import { JsonSamples } from './json-samples.js';
+import { FieldOverrides } from './field-overrides.js';
+import { TemplateGenerator } from './template-generator.js';
+import { TemplateStore } from './template-store.js';
+import { ModelNewGenerator } from './model-new-generator.js';
+import { ProfileStore } from './profile-store.js';
+import { ProfileEditor } from './profile-editor.js';
+import { ModelConverter } from './model-converter.js';
+import { ProjectConfig } from './project-config.js';
+import { generatorRegistry } from './generators.js';
+import { OptionsPanel } from './options-panel.js';
+import { ZipWriter } from './zip-writer.js';
+import { FieldTableEditor } from './field-table.js';
+import { CompareView } from './compare-view.js';
+import { HistoryManager } from './history.js';
+
 class JsonToDartConverter {
     constructor() {
-        this.dartGenerator = new DartGenerator();
-        this.modelNewGenerator = new ModelNewGenerator();
-        this.history = this.loadHistory();
+        this.converter = new ModelConverter();
+        this.dartGenerator = this.converter.dartGenerator;
+        this.templateStore = new TemplateStore();
+        this.profileStore = new ProfileStore();
+        this.fieldOverrides = new FieldOverrides();
+        // Config entries without a control of their own
+        this.extraImports = [];
+        this.configPaths = ProjectConfig.createDefault().paths;
         this.initializeElements();
         this.bindEvents();
+        this.renderGeneratorSelect();
+        this.renderTemplateOptions();
+        this.renderProfileOptions();
         this.loadSettings();
-        this.renderHistory();
+        this.renderGeneratorOptions();
+        this.history.open();
     }
 
     initializeElements() {
@@ -14,31 +39,88 @@ class JsonToDartConverter {
         this.classNameInput = document.getElementById('class-name');
         this.jsonInput = document.getElementById('json-input');
         this.dartOutput = document.getElementById('dart-output');
+        this.outputTabs = document.querySelectorAll('.output-tab');
+        this.generatedOutputs = { model: '', test: '', schema: '' };
+        this.activeOutput = 'model';
+        this.inputModeSelect = document.getElementById('input-mode');
 
         // Buttons
         this.convertBtn = document.getElementById('convert-btn');
         this.copyBtn = document.getElementById('copy-btn');
+        this.downloadZipBtn = document.getElementById('download-zip-btn');
 
-        // Checkboxes
+        // Output checkboxes shared by every generator
         this.checkboxes = {
-            generateToJson: document.getElementById('gen-tojson'),
-            generateCopyWith: document.getElementById('gen-copywith'),
-            generateToString: document.getElementById('gen-tostring'),
-            generateKeys: document.getElementById('gen-keys'),
-            useNum: document.getElementById('use-num'),
-            useSerializable: document.getElementById('use-serializable'),
-            useEquatable: document.getElementById('use-equatable'),
-            useDefaultValue: document.getElementById('use-default'),
-            generateComment: document.getElementById('gen-comment'),
-            modelNew: document.getElementById('model-new'),
-            singletonPattern: document.getElementById('singleton-pattern'),
-            localSave: document.getElementById('local-save'),
-            localClear: document.getElementById('local-clear'),
-            localGet: document.getElementById('local-get')
+            splitFiles: document.getElementById('split-files'),
+            generateTests: document.getElementById('gen-tests')
         };
 
-        // History
-        this.historyList = document.getElementById('history-list');
+        // Generator choice and the options its schema declares
+        this.generatorSelect = document.getElementById('generator-select');
+        this.optionsPanel = new OptionsPanel(
+            document.getElementById('generator-options'),
+            () => this.saveSettings()
+        );
+
+        // How JSON keys become Dart field names
+        this.keyNamingSelect = document.getElementById('key-naming');
+
+        // Which fields are nullable, required or filled with default values
+        this.nullSafetySelect = document.getElementById('null-safety');
+
+        // Fields excluded from DateTime/Uri/Duration detection
+        this.rawFieldsInput = document.getElementById('raw-fields');
+
+        // Custom templates
+        this.templateSelect = document.getElementById('template-select');
+        this.templateEditor = document.getElementById('template-editor');
+        this.templateSource = document.getElementById('template-source');
+        this.templateImportInput = document.getElementById('template-import-input');
+
+        // Project config (json2dart.config.json)
+        this.configEditor = document.getElementById('config-editor');
+        this.configSource = document.getElementById('config-source');
+        this.configLoadInput = document.getElementById('config-load-input');
+
+        // Compare two payloads of a class
+        this.compareEditor = document.getElementById('compare-editor');
+        this.compareSides = {
+            before: { source: document.getElementById('compare-before-source'), input: document.getElementById('compare-before') },
+            after: { source: document.getElementById('compare-after-source'), input: document.getElementById('compare-after') }
+        };
+        this.compareView = new CompareView(document.getElementById('compare-report'));
+
+        // Model New project profiles
+        this.profileSelect = document.getElementById('profile-select');
+        this.profileEditor = new ProfileEditor(
+            document.getElementById('profile-editor'),
+            profile => this.saveProfile(profile)
+        );
+
+        // Per-field overrides, regenerated after every conversion
+        this.fieldTable = new FieldTableEditor(
+            document.getElementById('field-table'),
+            (path, key, changes, siblings) => this.updateFieldOverride(path, key, changes, siblings)
+        );
+
+        // Versioned history, one sidebar item per class, in workspaces that each keep their own options
+        this.history = new HistoryManager({
+            list: document.getElementById('history-list'),
+            search: document.getElementById('history-search'),
+            exportButton: document.getElementById('history-export-btn'),
+            importButton: document.getElementById('history-import-btn'),
+            importInput: document.getElementById('history-import-input'),
+            clearButton: document.getElementById('history-clear-btn'),
+            workspaceSelect: document.getElementById('workspace-select'),
+            workspaceNewButton: document.getElementById('workspace-new-btn'),
+            workspaceRenameButton: document.getElementById('workspace-rename-btn'),
+            workspaceDeleteButton: document.getElementById('workspace-delete-btn')
+        }, {
+            onRestore: (className, version) => this.restoreHistory(className, version),
+            onWorkspaceChange: workspace => this.applyProjectConfig(workspace.config),
+            getConfig: () => this.getProjectConfig(),
+            onMessage: (message, isError) => (isError ? this.showError(message) : this.showSuccess(message))
+        });
     }
 
     bindEvents() {
@@ -48,6 +130,14 @@ class JsonToDartConverter {
         // Copy button
         this.copyBtn.addEventListener('click', () => this.copyToClipboard());
 
+        // Zip download of the generated files
+        this.downloadZipBtn.addEventListener('click', () => this.downloadZip());
+
+        // Model / Test output tabs
+        this.outputTabs.forEach(tab => {
+            tab.addEventListener('click', () => this.showOutput(tab.dataset.output));
+        });
+
         // Checkbox changes
         Object.entries(this.checkboxes).forEach(([key, checkbox]) => {
             if (checkbox) {
@@ -55,6 +145,67 @@ class JsonToDartConverter {
             }
         });
 
+        // Input mode changes
+        this.inputModeSelect.addEventListener('change', () => this.saveSettings());
+        this.rawFieldsInput.addEventListener('input', () => this.saveSettings());
+        this.keyNamingSelect.addEventListener('change', () => this.saveSettings());
+        this.nullSafetySelect.addEventListener('change', () => this.saveSettings());
+        this.generatorSelect.addEventListener('change', () => {
+            // Only the template generator uses the Template row
+            if (this.generatorSelect.value !== 'template') {
+                this.templateSelect.value = '';
+            }
+            this.renderGeneratorOptions();
+            this.saveSettings();
+        });
+        this.templateSelect.addEventListener('change', () => {
+            if (this.templateSelect.value) {
+                this.generatorSelect.value = 'template';
+                this.renderGeneratorOptions();
+            }
+            this.saveSettings();
+        });
+
+        // Template management
+        document.getElementById('template-new-btn').addEventListener('click', () => {
+            this.openTemplateEditor({ ...TemplateGenerator.createDefaultTemplate(), name: 'My template' });
+        });
+        document.getElementById('template-edit-btn').addEventListener('click', () => {
+            this.openTemplateEditor(this.templateStore.get(this.templateSelect.value) || TemplateGenerator.createDefaultTemplate());
+        });
+        document.getElementById('template-save-btn').addEventListener('click', () => this.saveTemplate());
+        document.getElementById('template-close-btn').addEventListener('click', () => this.templateEditor.classList.remove('active'));
+        document.getElementById('template-export-btn').addEventListener('click', () => this.exportTemplate());
+        document.getElementById('template-delete-btn').addEventListener('click', () => this.deleteTemplate());
+        document.getElementById('template-import-btn').addEventListener('click', () => this.templateImportInput.click());
+        this.templateImportInput.addEventListener('change', () => this.importTemplates());
+
+        // Project config
+        document.getElementById('config-load-btn').addEventListener('click', () => this.configLoadInput.click());
+        this.configLoadInput.addEventListener('change', () => this.loadConfigFile());
+        document.getElementById('config-edit-btn').addEventListener('click', () => this.openConfigEditor());
+        document.getElementById('config-apply-btn').addEventListener('click', () => this.applyConfigSource());
+        document.getElementById('config-close-btn').addEventListener('click', () => this.configEditor.classList.remove('active'));
+        document.getElementById('config-download-btn').addEventListener('click', () => this.downloadConfig());
+
+        // Compare
+        document.getElementById('compare-open-btn').addEventListener('click', () => this.openCompare());
+        document.getElementById('compare-run-btn').addEventListener('click', () => this.runCompare());
+        document.getElementById('compare-close-btn').addEventListener('click', () => this.compareEditor.classList.remove('active'));
+        Object.values(this.compareSides).forEach(side => {
+            side.source.addEventListener('change', () => this.fillCompareSide(side));
+        });
+
+        // Profile management
+        this.profileSelect.addEventListener('change', () => this.saveSettings());
+        document.getElementById('profile-new-btn').addEventListener('click', () => {
+            this.profileEditor.open({ ...ModelNewGenerator.createDefaultProfile(), name: 'My project' });
+        });
+        document.getElementById('profile-edit-btn').addEventListener('click', () => {
+            this.profileEditor.open(this.profileStore.get(this.profileSelect.value) || ModelNewGenerator.createDefaultProfile());
+        });
+        document.getElementById('profile-delete-btn').addEventListener('click', () => this.deleteProfile());
+
         // Auto-save inputs
         this.classNameInput.addEventListener('input', () => this.saveSettings());
         this.jsonInput.addEventListener('input', () => this.saveSettings());
@@ -91,28 +242,29 @@ class JsonToDartConverter {
             return;
         }
 
+        if (this.inputModeSelect.value === 'dart') {
+            this.reverseConvert(className, jsonString);
+            return;
+        }
+
         try {
-            // Format JSON
-            const parsedJson = JSON.parse(jsonString);
-            const formattedJson = JSON.stringify(parsedJson, null, 2);
+            // Format JSON, keeping each pasted sample as its own block
+            const documents = JsonSamples.parse(jsonString);
+            const formattedJson = JsonSamples.format(documents);
             this.jsonInput.value = formattedJson;
 
             // Get current settings
             const settings = this.getCurrentSettings();
+            const isSchema = settings.inputMode === 'schema';
+            const isMultiSample = !isSchema && documents.length > 1;
 
             // Generate Dart class
-            let dartClass;
-            if (settings.modelNew) {
-                // Set current class name for the generator
-                this.modelNewGenerator.setCurrentClassName(className);
-                dartClass = this.modelNewGenerator.generate(className, parsedJson, settings);
-            } else {
-                // Update generator options
-                this.dartGenerator.setOptions(settings);
-                dartClass = this.dartGenerator.generateDartClass(className, formattedJson);
-            }
+            const result = this.converter.convert(className, documents, settings);
+            this.outputFiles = result.files;
+            this.fieldTable.render(result.fieldTable, this.fieldOverrides);
 
-            this.dartOutput.value = dartClass;
+            this.generatedOutputs = { model: result.code, test: result.testCode, schema: '' };
+            this.showOutput(this.generatedOutputs[this.activeOutput] ? this.activeOutput : 'model');
 
             // Save to history
             this.saveToHistory(className, formattedJson);
@@ -120,13 +272,260 @@ class JsonToDartConverter {
             // Save current state
             this.saveSettings();
 
-            this.showSuccess('Dart class generated successfully!');
+            if (isSchema) {
+                this.showSuccess('Dart class generated from JSON Schema!');
+            } else {
+                this.showSuccess(isMultiSample
+                    ? `Dart class generated from ${documents.length} samples!`
+                    : 'Dart class generated successfully!');
+            }
+
+        } catch (error) {
+            this.showError('Error: ' + error.message);
+        }
+    }
+
+    reverseConvert(className, source) {
+        // Dart class input: the Model tab shows a sample JSON document, the Schema tab its JSON Schema
+        try {
+            const result = this.converter.reverse(className, source);
+            this.outputFiles = result.files;
+            this.fieldTable.render([], this.fieldOverrides);
+
+            this.generatedOutputs = { model: result.sample, test: '', schema: result.schema };
+            this.showOutput(this.activeOutput === 'schema' ? 'schema' : 'model');
+
+            this.saveSettings();
+            this.showSuccess(`Sample JSON and JSON Schema generated for ${result.rootName}!`);
+        } catch (error) {
+            this.showError('Error: ' + error.message);
+        }
+    }
+
+    showOutput(name) {
+        this.activeOutput = name;
+        this.dartOutput.value = this.generatedOutputs[name] || '';
+        this.outputTabs.forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.output === name);
+            tab.disabled = tab.dataset.output !== 'model' && !this.generatedOutputs[tab.dataset.output];
+        });
+    }
+
+    updateFieldOverride(path, key, changes, siblings) {
+        try {
+            this.fieldOverrides.set(path, key, changes, siblings);
+        } catch (error) {
+            this.showError('Error: ' + error.message);
+            return;
+        }
+        this.convert();
+    }
+
+    renderGeneratorSelect() {
+        this.generatorSelect.innerHTML = '';
+        generatorRegistry.list().forEach(plugin => {
+            const option = new Option(plugin.name, plugin.id);
+            option.title = plugin.description;
+            this.generatorSelect.add(option);
+        });
+    }
+
+    renderGeneratorOptions() {
+        if (!generatorRegistry.has(this.generatorSelect.value)) {
+            this.generatorSelect.value = 'dart';
+        }
+        const plugin = generatorRegistry.get(this.generatorSelect.value);
+        this.generatorSelect.title = plugin.description;
+        this.optionsPanel.render(plugin);
+    }
+
+    renderTemplateOptions(selectedId = this.templateSelect.value) {
+        this.templateSelect.innerHTML = '';
+        this.templateSelect.add(new Option('Built-in generator', ''));
+        this.templateStore.list().forEach(template => this.templateSelect.add(new Option(template.name, template.id)));
+        this.templateSelect.value = this.templateStore.get(selectedId) ? selectedId : '';
+    }
+
+    openTemplateEditor(template) {
+        this.editingTemplateId = template.id || null;
+        const content = { ...template };
+        delete content.id;
+        this.templateSource.value = JSON.stringify(content, null, 2);
+        this.templateEditor.classList.add('active');
+        this.templateSource.focus();
+    }
 
+    saveTemplate() {
+        try {
+            const template = JSON.parse(this.templateSource.value);
+            const saved = this.templateStore.put({ ...template, id: this.editingTemplateId || undefined });
+            this.editingTemplateId = saved.id;
+            this.renderTemplateOptions(saved.id);
+            this.saveSettings();
+            this.showSuccess(`Template saved: ${saved.name}`);
         } catch (error) {
             this.showError('Error: ' + error.message);
         }
     }
 
+    exportTemplate() {
+        const content = this.templateStore.export(this.templateSelect.value);
+        if (!content) {
+            this.showError('Select a saved template to export');
+            return;
+        }
+
+        const template = this.templateStore.get(this.templateSelect.value);
+        const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.dartGenerator.toFileName(this.dartGenerator.toClassName(template.name) || 'Template')}.template.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    importTemplates() {
+        const file = this.templateImportInput.files[0];
+        if (!file) return;
+
+        file.text().then(text => {
+            const imported = this.templateStore.import(text);
+            this.renderTemplateOptions(imported[imported.length - 1].id);
+            this.saveSettings();
+            this.showSuccess(`Imported ${imported.length} template(s)`);
+        }).catch(error => {
+            this.showError('Error: ' + error.message);
+        }).finally(() => {
+            this.templateImportInput.value = '';
+        });
+    }
+
+    deleteTemplate() {
+        const template = this.templateStore.get(this.templateSelect.value);
+        if (!template) {
+            this.showError('Select a saved template to delete');
+            return;
+        }
+
+        this.templateStore.remove(template.id);
+        this.renderTemplateOptions('');
+        this.templateEditor.classList.remove('active');
+        this.saveSettings();
+        this.showSuccess(`Template deleted: ${template.name}`);
+    }
+
+    getProjectConfig() {
+        return ProjectConfig.fromSettings(this.getCurrentSettings(), this.configPaths);
+    }
+
+    openConfigEditor() {
+        this.configSource.value = JSON.stringify(this.getProjectConfig(), null, 2);
+        this.configEditor.classList.add('active');
+        this.configSource.focus();
+    }
+
+    applyConfigSource() {
+        try {
+            this.applyProjectConfig(ProjectConfig.parse(this.configSource.value));
+            this.configEditor.classList.remove('active');
+            this.showSuccess('Project config applied');
+        } catch (error) {
+            this.showError('Error: ' + error.message);
+        }
+    }
+
+    loadConfigFile() {
+        const file = this.configLoadInput.files[0];
+        if (!file) return;
+
+        file.text().then(text => {
+            this.applyProjectConfig(ProjectConfig.parse(text));
+            this.showSuccess(`Loaded ${file.name}`);
+        }).catch(error => {
+            this.showError('Error: ' + error.message);
+        }).finally(() => {
+            this.configLoadInput.value = '';
+        });
+    }
+
+    applyProjectConfig(config) {
+        // Every control takes the config's value, so the UI produces what the CLI produces
+        const settings = ProjectConfig.toSettings(config);
+        Object.entries(this.checkboxes).forEach(([key, checkbox]) => {
+            if (checkbox && typeof settings[key] === 'boolean') {
+                checkbox.checked = settings[key];
+            }
+        });
+
+        this.generatorSelect.value = settings.generator;
+        this.optionsPanel.setValues(ProjectConfig.pickGeneratorOptions(settings));
+        this.renderGeneratorOptions();
+        this.inputModeSelect.value = settings.inputMode;
+        this.keyNamingSelect.value = settings.keyNaming;
+        this.nullSafetySelect.value = settings.nullSafety;
+        this.rawFieldsInput.value = settings.rawFields.join(', ');
+        this.fieldOverrides = new FieldOverrides(settings.fieldOverrides);
+        this.fieldTable.render([], this.fieldOverrides);
+        this.extraImports = settings.extraImports;
+        this.configPaths = config.paths;
+
+        // Templates and profiles are stored once per name and selected
+        const template = settings.template && this.storeByName(this.templateStore, settings.template);
+        this.renderTemplateOptions(template ? template.id : '');
+        const profile = settings.profile && this.storeByName(this.profileStore, settings.profile);
+        this.renderProfileOptions(profile ? profile.id : '');
+
+        this.saveSettings();
+    }
+
+    storeByName(store, item) {
+        const existing = store.list().find(saved => saved.name === item.name);
+        return store.put({ ...item, id: existing ? existing.id : undefined });
+    }
+
+    downloadConfig() {
+        const content = JSON.stringify(this.getProjectConfig(), null, 2);
+        const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = ProjectConfig.fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    renderProfileOptions(selectedId = this.profileSelect.value) {
+        this.profileSelect.innerHTML = '';
+        this.profileSelect.add(new Option(ModelNewGenerator.createDefaultProfile().name, ''));
+        this.profileStore.list().forEach(profile => this.profileSelect.add(new Option(profile.name, profile.id)));
+        this.profileSelect.value = this.profileStore.get(selectedId) ? selectedId : '';
+    }
+
+    saveProfile(profile) {
+        try {
+            const saved = this.profileStore.put(profile);
+            this.profileEditor.profileId = saved.id;
+            this.renderProfileOptions(saved.id);
+            this.saveSettings();
+            this.showSuccess(`Profile saved: ${saved.name}`);
+        } catch (error) {
+            this.showError('Error: ' + error.message);
+        }
+    }
+
+    deleteProfile() {
+        const profile = this.profileStore.get(this.profileSelect.value);
+        if (!profile) {
+            this.showError('Select a saved profile to delete');
+            return;
+        }
+
+        this.profileStore.remove(profile.id);
+        this.renderProfileOptions('');
+        this.profileEditor.close();
+        this.saveSettings();
+        this.showSuccess(`Profile deleted: ${profile.name}`);
+    }
+
     getCurrentSettings() {
         const settings = {};
         Object.entries(this.checkboxes).forEach(([key, checkbox]) => {
@@ -134,6 +533,19 @@ class JsonToDartConverter {
                 settings[key] = checkbox.checked;
             }
         });
+        Object.assign(settings, this.optionsPanel.getValues());
+        settings.generator = this.generatorSelect.value;
+        settings.keyNaming = this.keyNamingSelect.value;
+        settings.nullSafety = this.nullSafetySelect.value;
+        settings.inputMode = this.inputModeSelect.value;
+        settings.template = this.templateStore.get(this.templateSelect.value) || null;
+        settings.profile = this.profileStore.get(this.profileSelect.value);
+        settings.fieldOverrides = this.fieldOverrides.toJSON();
+        settings.extraImports = this.extraImports;
+        settings.rawFields = this.rawFieldsInput.value
+            .split(',')
+            .map(field => field.trim())
+            .filter(Boolean);
         return settings;
     }
 
@@ -155,68 +567,139 @@ class JsonToDartConverter {
         });
     }
 
-    saveToHistory(className, jsonString) {
-        const historyItem = {
-            className,
-            jsonString,
-            timestamp: Date.now()
-        };
+    downloadZip() {
+        if (!this.outputFiles || this.outputFiles.length === 0 || !this.dartOutput.value.trim()) {
+            this.showError('No code to download');
+            return;
+        }
+
+        const zip = new ZipWriter();
+        this.outputFiles.forEach(file => zip.addFile(file.fileName, file.content));
 
-        // Remove existing entry with same class name
-        this.history = this.history.filter(item => item.className !== className);
+        const className = this.classNameInput.value.trim() || 'Model';
+        const url = URL.createObjectURL(new Blob([zip.generate()], { type: 'application/zip' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.dartGenerator.toFileName(className)}.zip`;
+        link.click();
+        URL.revokeObjectURL(url);
 
-        // Add to beginning
-        this.history.unshift(historyItem);
+        this.showSuccess(`Downloaded ${this.outputFiles.length} file(s) as ${link.download}`);
+    }
 
-        // Keep only last 20 items
-        this.history = this.history.slice(0, 20);
+    openCompare() {
+        // History entries of the current class are the usual "before", the current input the "after"
+        const entries = this.getCompareEntries();
+        Object.values(this.compareSides).forEach(side => {
+            side.source.innerHTML = '';
+            side.source.add(new Option('Pasted payload', ''));
+            side.source.add(new Option('Current input', 'input'));
+            entries.forEach((item, index) => {
+                side.source.add(new Option(`History: ${new Date(item.timestamp).toLocaleString()}`, String(index)));
+            });
+        });
 
-        // Save and render
-        localStorage.setItem('dart-converter-history', JSON.stringify(this.history));
-        this.renderHistory();
+        const current = this.jsonInput.value.trim();
+        const older = entries.findIndex(item => item.jsonString.trim() !== current);
+        this.compareSides.before.source.value = older === -1 ? '' : String(older);
+        this.compareSides.after.source.value = 'input';
+        Object.values(this.compareSides).forEach(side => this.fillCompareSide(side));
+
+        this.compareView.clear();
+        this.compareEditor.classList.add('active');
     }
 
-    loadHistory() {
-        try {
-            const saved = localStorage.getItem('dart-converter-history');
-            return saved ? JSON.parse(saved) : [];
-        } catch {
-            return [];
-        }
+    getCompareEntries() {
+        return this.history.getVersions(this.classNameInput.value.trim());
     }
 
-    renderHistory() {
-        this.historyList.innerHTML = '';
+    fillCompareSide(side) {
+        const value = side.source.value;
+        if (value === 'input') {
+            side.input.value = this.jsonInput.value;
+        } else if (value !== '') {
+            side.input.value = this.getCompareEntries()[Number(value)].jsonString;
+        }
+    }
 
-        if (this.history.length === 0) {
-            this.historyList.innerHTML = '<div class="history-empty">No history yet</div>';
+    runCompare() {
+        const className = this.classNameInput.value.trim();
+        if (!className) {
+            this.showError('Please enter a class name');
+            this.classNameInput.focus();
             return;
         }
 
-        this.history.forEach(item => {
-            const historyItem = document.createElement('div');
-            historyItem.className = 'history-item';
-            historyItem.textContent = item.className;
-            historyItem.title = `Click to load: ${item.className}`;
+        try {
+            const settings = this.getCurrentSettings();
+            if (settings.inputMode === 'dart') {
+                throw new Error('Compare reads JSON samples or JSON Schemas, switch the input type');
+            }
 
-            historyItem.addEventListener('click', () => {
-                this.loadFromHistory(item);
+            const [before, after] = ['before', 'after'].map(name => {
+                const text = this.compareSides[name].input.value.trim();
+                if (!text) throw new Error(`Paste a payload for "${name}"`);
+                return JsonSamples.parse(text);
             });
 
-            this.historyList.appendChild(historyItem);
+            const result = this.converter.compare(className, before, after, settings);
+            this.compareView.render(result);
+            if (result.breaking.length > 0) {
+                this.showError(`${result.breaking.length} breaking change(s) in ${className}`);
+            } else {
+                this.showSuccess(result.changes.length > 0 ? 'No breaking changes' : 'The payloads have the same shape');
+            }
+        } catch (error) {
+            this.showError('Error: ' + error.message);
+        }
+    }
+
+    saveToHistory(className, jsonString) {
+        // Every conversion is a version of its class, with the options and output it produced
+        this.history.saveToHistory(className, {
+            jsonString,
+            config: this.getProjectConfig(),
+            output: { ...this.generatedOutputs, files: this.outputFiles }
         });
     }
 
-    loadFromHistory(item) {
-        this.classNameInput.value = item.className;
-        this.jsonInput.value = item.jsonString;
-        this.showSuccess(`Loaded: ${item.className}`);
+    restoreHistory(className, version) {
+        this.classNameInput.value = className;
+        this.jsonInput.value = version.jsonString;
+        if (version.config) {
+            this.applyProjectConfig(version.config);
+        } else {
+            // Versions saved before the history kept options only have the field overrides
+            this.fieldOverrides = new FieldOverrides({ ...version.overrides });
+            this.fieldTable.render([], this.fieldOverrides);
+        }
+
+        if (version.output) {
+            const { files, ...outputs } = version.output;
+            this.outputFiles = files || [];
+            this.generatedOutputs = { model: '', test: '', schema: '', ...outputs };
+            this.showOutput('model');
+        }
+
+        this.saveSettings();
+        this.showSuccess(`Restored: ${className}, ${new Date(version.timestamp).toLocaleString()}`);
     }
 
     saveSettings() {
         const settings = {
             className: this.classNameInput.value,
             jsonInput: this.jsonInput.value,
+            inputMode: this.inputModeSelect.value,
+            rawFields: this.rawFieldsInput.value,
+            keyNaming: this.keyNamingSelect.value,
+            nullSafety: this.nullSafetySelect.value,
+            generator: this.generatorSelect.value,
+            generatorOptions: this.optionsPanel.getValues(),
+            template: this.templateSelect.value,
+            profileId: this.profileSelect.value,
+            fieldOverrides: this.fieldOverrides.toJSON(),
+            extraImports: this.extraImports,
+            configPaths: this.configPaths,
             checkboxes: {}
         };
 
@@ -244,6 +727,58 @@ class JsonToDartConverter {
                 this.jsonInput.value = settings.jsonInput;
             }
 
+            if (settings.inputMode) {
+                this.inputModeSelect.value = settings.inputMode;
+            }
+
+            if (settings.fieldOverrides) {
+                this.fieldOverrides = new FieldOverrides(settings.fieldOverrides);
+            }
+
+            if (settings.extraImports) {
+                this.extraImports = settings.extraImports;
+            }
+
+            if (settings.configPaths) {
+                this.configPaths = settings.configPaths;
+            }
+
+            if (settings.keyNaming) {
+                this.keyNamingSelect.value = settings.keyNaming;
+            }
+
+            if (settings.generatorOptions) {
+                this.optionsPanel.setValues(settings.generatorOptions);
+            } else if (settings.checkboxes) {
+                // Settings saved before the registry kept generator options as checkboxes
+                this.optionsPanel.setValues({ ...settings.checkboxes, storageBackend: settings.storageBackend || 'prefs' });
+            }
+
+            this.generatorSelect.value = ModelConverter.getGeneratorId({
+                generator: settings.generator,
+                template: settings.template && this.templateStore.get(settings.template),
+                ...(settings.generator ? {} : settings.checkboxes)
+            });
+
+            if (settings.nullSafety) {
+                this.nullSafetySelect.value = settings.nullSafety;
+            } else if (settings.checkboxes && settings.checkboxes.useDefaultValue) {
+                // Settings saved before the policy select only had the "Use default value" checkbox
+                this.nullSafetySelect.value = 'defaults';
+            }
+
+            if (settings.template) {
+                this.renderTemplateOptions(settings.template);
+            }
+
+            if (settings.profileId) {
+                this.renderProfileOptions(settings.profileId);
+            }
+
+            if (settings.rawFields) {
+                this.rawFieldsInput.value = settings.rawFields;
+            }
+
             if (settings.checkboxes) {
                 Object.entries(settings.checkboxes).forEach(([key, value]) => {
                     if (this.checkboxes[key]) {
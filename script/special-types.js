@@ -0,0 +1,81 @@
+// Special Types - Maps date, URL and duration values onto DateTime, Uri and Duration
+class DartSpecialTypes {
+    constructor() {
+        // rawType is what the JSON holds; parse and serialize convert between it and the Dart type
+        this.conversions = {
+            'date-time': {
+                type: 'DateTime',
+                rawType: 'String',
+                parse: value => `DateTime.parse(${value})`,
+                serialize: '.toIso8601String()',
+                fallback: 'DateTime.fromMillisecondsSinceEpoch(0)'
+            },
+            'date': {
+                type: 'DateTime',
+                rawType: 'String',
+                parse: value => `DateTime.parse(${value})`,
+                serialize: ".toIso8601String().split('T').first",
+                fallback: 'DateTime.fromMillisecondsSinceEpoch(0)'
+            },
+            'epoch-millis': {
+                type: 'DateTime',
+                rawType: 'int',
+                parse: value => `DateTime.fromMillisecondsSinceEpoch(${value})`,
+                serialize: '.millisecondsSinceEpoch',
+                fallback: 'DateTime.fromMillisecondsSinceEpoch(0)'
+            },
+            'uri': {
+                type: 'Uri',
+                rawType: 'String',
+                parse: value => `Uri.parse(${value})`,
+                serialize: '.toString()',
+                fallback: 'Uri()'
+            },
+            'milliseconds': {
+                type: 'Duration',
+                rawType: 'int',
+                parse: value => `Duration(milliseconds: ${value})`,
+                serialize: '.inMilliseconds',
+                fallback: 'Duration.zero'
+            },
+            'seconds': {
+                type: 'Duration',
+                rawType: 'int',
+                parse: value => `Duration(seconds: ${value})`,
+                serialize: '.inSeconds',
+                fallback: 'Duration.zero'
+            }
+        };
+    }
+
+    detect(node, key = '') {
+        if (!node) return null;
+
+        if (node.kind === 'string') {
+            if (node.format === 'date-time' || node.format === 'date') return this.get(node.format);
+            if (node.format === 'uri' || node.format === 'url') return this.get('uri');
+            return null;
+        }
+
+        if (node.kind !== 'int') return null;
+
+        // Integers only say what they measure through their key
+        if (/(^|_)(at|time|timestamp|date)(_ms)?$|[a-z](At|Time|Timestamp|Date)(Ms)?$/.test(key)) {
+            return node.epochMillis ? this.get('epoch-millis') : null;
+        }
+        if (/(_ms|_millis|[a-z]Ms|[a-z]Millis)$/.test(key)) return this.get('milliseconds');
+        if (/(_seconds|_secs|[a-z]Seconds|[a-z]Secs)$/.test(key)) return this.get('seconds');
+        return null;
+    }
+
+    get(encoding) {
+        return { encoding, ...this.conversions[encoding] };
+    }
+
+    isExcluded(rawFields, className, key) {
+        // Fields listed as "key" or "ClassName.key" keep their plain JSON type
+        return Array.isArray(rawFields) && (rawFields.includes(key) || rawFields.includes(`${className}.${key}`));
+    }
+}
+
+export { DartSpecialTypes };
\ No newline at end of file
@@ -0,0 +1,290 @@
+// Storage Backends - Hive, sqflite and Isar persistence code for Model New classes
+import { KeyMapper } from './key-mapper.js';
+
+class StorageBackends {
+    constructor() {
+        this.keyMapper = new KeyMapper();
+    }
+
+    getImports(backend) {
+        switch (backend) {
+            case 'hive':
+                return ["import 'dart:convert';", "import 'package:hive/hive.dart';"];
+            case 'sqflite':
+                return ["import 'package:sqflite/sqflite.dart';"];
+            case 'isar':
+                return ["import 'package:isar/isar.dart';"];
+            default:
+                return [];
+        }
+    }
+
+    getParts(backend, className) {
+        // Isar generates the collection schema next to the model
+        return backend === 'isar' ? [`part '${this.toSnakeCase(className)}.g.dart';`] : [];
+    }
+
+    getClassAnnotation(backend, isRoot) {
+        if (backend === 'isar') return isRoot ? '@collection' : '@embedded';
+        return '';
+    }
+
+    usesFieldAnnotations(backend) {
+        // The Hive adapter is written by hand, so only Isar's generator reads field annotations
+        return backend === 'isar';
+    }
+
+    getFieldAnnotation(backend, field) {
+        if (backend === 'isar') {
+            if (field.kind === 'enum') return '@enumerated';
+            // Isar cannot store maps, untyped values and lists or hand-picked types
+            if (['map', 'value', 'dynamic'].includes(field.kind) || field.type === 'List<dynamic>') return '@ignore';
+        }
+        return '';
+    }
+
+    generateMembers(backend, model) {
+        if (backend !== 'isar') return '';
+
+        // Isar instantiates objects through an unnamed constructor
+        const lines = model.isRoot ? ['  Id isarId = Isar.autoIncrement;', ''] : [];
+        lines.push(`  ${model.className}();`);
+        return lines.join('\n');
+    }
+
+    generateMethod(backend, action, model) {
+        switch (backend) {
+            case 'hive':
+                return this.generateHiveMethod(action, model);
+            case 'sqflite':
+                return this.generateSqfliteMethod(action, model);
+            case 'isar':
+                return this.generateIsarMethod(action, model);
+            default:
+                return '';
+        }
+    }
+
+    generateHelpers(backend, model) {
+        return backend === 'sqflite' ? this.generateSqfliteHelpers(model) : '';
+    }
+
+    generateAfterClass(backend, model) {
+        return backend === 'hive' ? this.generateHiveAdapter(model) : '';
+    }
+
+    generateHiveMethod(action, { className }) {
+        const key = className.toLowerCase();
+        const lines = [
+            `  Future<void> ${action}() async {`,
+            `    final box = await Hive.openBox<${className}>('${key}');`
+        ];
+
+        if (action === 'save') {
+            lines.push(`    await box.put('${key}', this);`);
+        } else if (action === 'get') {
+            lines.push(`    fromJson(box.get('${key}')?.toJson());`);
+        } else {
+            lines.push(`    await box.delete('${key}');`, '    fromJson();');
+        }
+
+        lines.push('  }');
+        return lines.join('\n');
+    }
+
+    generateHiveAdapter({ className, fields, idField, typeId, fromJson }) {
+        // Values are written in their JSON form under their field indices, so nested models need no adapters;
+        // the inherited id takes the index after the last field
+        const keys = fields.map(field => field.jsonKey);
+        if (idField) keys.push(this.keyMapper.escape(idField, '"'));
+
+        const reads = keys.map((key, index) => `      "${key}": fields[${index}],`);
+        const writes = keys.map((key, index) => `      ..writeByte(${index})\n      ..write(json["${key}"])`);
+
+        return [
+            `class ${className}Adapter extends TypeAdapter<${className}> {`,
+            '  @override',
+            `  final int typeId = ${typeId};`,
+            '',
+            '  @override',
+            `  ${className} read(BinaryReader reader) {`,
+            '    final count = reader.readByte();',
+            '    final fields = <int, dynamic>{',
+            '      for (var i = 0; i < count; i++) reader.readByte(): reader.read(),',
+            '    };',
+            '    // Hive reads nested maps back as Map<dynamic, dynamic>; a JSON round trip restores the types fromJson casts to',
+            `    final json = jsonDecode(jsonEncode(<String, dynamic>{${reads.length > 0 ? '\n' + reads.join('\n') + '\n    ' : ''}})) as Map<String, dynamic>;`,
+            `    return ${fromJson('json')};`,
+            '  }',
+            '',
+            '  @override',
+            `  void write(BinaryWriter writer, ${className} obj) {`,
+            '    final json = obj.toJson();',
+            '    writer',
+            `      ..writeByte(${keys.length})${writes.length > 0 ? '\n' + writes.join('\n') : ''};`,
+            '  }',
+            '}'
+        ].join('\n');
+    }
+
+    generateSqfliteMethod(action, { idField }) {
+        const where = idField ? `, where: '${this.quoteColumn(idField)} = ?', whereArgs: [id]` : '';
+
+        if (action === 'save') {
+            return [
+                '  Future<void> save(Database db) async {',
+                '    await db.insert(tableName, toRow(), conflictAlgorithm: ConflictAlgorithm.replace);',
+                '  }'
+            ].join('\n');
+        }
+
+        if (action === 'get') {
+            return [
+                '  Future<void> get(Database db) async {',
+                `    final rows = await db.query(tableName${where}, limit: 1);`,
+                '    fromJson(rows.isEmpty ? null : rowToJson(rows.first));',
+                '  }'
+            ].join('\n');
+        }
+
+        return [
+            '  Future<void> clear(Database db) async {',
+            `    await db.delete(tableName${where});`,
+            '    fromJson();',
+            '  }'
+        ].join('\n');
+    }
+
+    generateSqfliteHelpers({ className, fields, idField, fromJson }) {
+        const columns = [];
+        if (idField) {
+            columns.push(`${this.quoteColumn(idField)} TEXT PRIMARY KEY`);
+        }
+        fields.forEach(field => {
+            columns.push(`${this.quoteColumn(field.key)} ${this.getColumnType(field)}${field.nullable ? '' : ' NOT NULL'}`);
+        });
+
+        // SQLite has no boolean or structured columns: bools become 0/1 and nested values JSON text
+        const toRow = [];
+        const fromRow = [];
+        fields.forEach(field => {
+            const column = `"${field.jsonKey}"`;
+            if (field.kind === 'bool') {
+                toRow.push(`      ${column}: json[${column}] == null ? null : json[${column}] == true ? 1 : 0,`);
+                fromRow.push(`      ${column}: row[${column}] == null ? null : row[${column}] == 1,`);
+            } else if (this.getColumnType(field) === 'TEXT' && !['string', 'special', 'enum'].includes(field.kind)) {
+                toRow.push(`      ${column}: json[${column}] == null ? null : jsonEncode(json[${column}]),`);
+                fromRow.push(`      ${column}: row[${column}] == null ? null : jsonDecode(row[${column}] as String),`);
+            }
+        });
+
+        const lines = [
+            `  static const tableName = '${this.toSnakeCase(className)}';`,
+            '',
+            "  static const createTableSql = '''",
+            `    CREATE TABLE ${this.quoteColumn(this.toSnakeCase(className))} (`,
+            columns.map(column => `      ${column}`).join(',\n'),
+            "    )''';",
+            '',
+            '  static Future<void> createTable(Database db) => db.execute(createTableSql);',
+            '',
+            '  Map<String, Object?> toRow() {',
+            '    final json = toJson();',
+            '    return {',
+            '      ...json,',
+            ...toRow,
+            '    };',
+            '  }',
+            '',
+            '  static Map<String, dynamic> rowToJson(Map<String, Object?> row) {',
+            '    return {',
+            '      ...row,',
+            ...fromRow,
+            '    };',
+            '  }',
+            '',
+            `  static ${className} fromRow(Map<String, Object?> row) => ${fromJson('rowToJson(row)')};`,
+            '',
+            '  Future<void> insert(Database db) async {',
+            '    await db.insert(tableName, toRow(), conflictAlgorithm: ConflictAlgorithm.replace);',
+            '  }',
+            '',
+            `  static Future<List<${className}>> queryAll(Database db) async {`,
+            '    final rows = await db.query(tableName);',
+            '    return rows.map(fromRow).toList();',
+            '  }'
+        ];
+
+        if (idField) {
+            const where = `where: '${this.quoteColumn(idField)} = ?'`;
+            lines.push(
+                '',
+                `  static Future<${className}?> findById(Database db, String id) async {`,
+                `    final rows = await db.query(tableName, ${where}, whereArgs: [id], limit: 1);`,
+                '    return rows.isEmpty ? null : fromRow(rows.first);',
+                '  }',
+                '',
+                `  Future<int> update(Database db) => db.update(tableName, toRow(), ${where}, whereArgs: [id]);`,
+                '',
+                `  Future<int> delete(Database db) => db.delete(tableName, ${where}, whereArgs: [id]);`
+            );
+        }
+
+        return lines.join('\n');
+    }
+
+    generateIsarMethod(action, { className }) {
+        const collection = `isar.${className.charAt(0).toLowerCase()}${className.slice(1)}s`;
+
+        if (action === 'save') {
+            return [
+                '  Future<void> save(Isar isar) async {',
+                `    await isar.writeTxn(() => ${collection}.put(this));`,
+                '  }'
+            ].join('\n');
+        }
+
+        if (action === 'get') {
+            return [
+                '  Future<void> get(Isar isar) async {',
+                `    final data = await ${collection}.where().findFirst();`,
+                '    fromJson(data?.toJson());',
+                '  }'
+            ].join('\n');
+        }
+
+        return [
+            '  Future<void> clear(Isar isar) async {',
+            `    await isar.writeTxn(() => ${collection}.clear());`,
+            '    fromJson();',
+            '  }'
+        ].join('\n');
+    }
+
+    getColumnType(field) {
+        const type = ['special', 'enum'].includes(field.kind) ? field.rawType : field.kind;
+        switch (type) {
+            case 'int':
+            case 'bool':
+                return 'INTEGER';
+            case 'double':
+                return 'REAL';
+            default:
+                return 'TEXT';
+        }
+    }
+
+    quoteColumn(name) {
+        // Quoted identifiers accept any JSON key; the result sits inside a single-quoted Dart string
+        return this.keyMapper.escape(`"${String(name).replace(/"/g, '""')}"`);
+    }
+
+    toSnakeCase(className) {
+        return className
+            .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+            .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+            .toLowerCase();
+    }
+}
+
+export { StorageBackends };
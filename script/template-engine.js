@@ -0,0 +1,95 @@
+// Template Engine - A small Mustache subset: {{name}}, {{a.b}}, {{.}}, {{#section}}, {{^inverted}} and {{! comments }}
+class TemplateEngine {
+    render(template, context) {
+        return this.renderTokens(this.parse(template), [context]);
+    }
+
+    parse(template) {
+        const root = { children: [] };
+        const stack = [root];
+        const pattern = /\{\{\s*([#^\/!]?)\s*([^}]*?)\s*\}\}/g;
+        let last = 0;
+        let match;
+
+        while ((match = pattern.exec(template))) {
+            const [, sigil, name] = match;
+            const current = stack[stack.length - 1];
+            let textEnd = match.index;
+
+            // Section and comment tags alone on their line leave no blank line behind
+            if (sigil) {
+                const lineStart = template.lastIndexOf('\n', match.index - 1) + 1;
+                const after = /^[ \t]*(\r?\n|$)/.exec(template.slice(pattern.lastIndex));
+                if (lineStart >= last && after && /^[ \t]*$/.test(template.slice(lineStart, match.index))) {
+                    textEnd = lineStart;
+                    pattern.lastIndex += after[0].length;
+                }
+            }
+
+            if (textEnd > last) {
+                current.children.push({ type: 'text', value: template.slice(last, textEnd) });
+            }
+            last = pattern.lastIndex;
+
+            if (sigil === '!') continue;
+
+            if (sigil === '#' || sigil === '^') {
+                const section = { type: 'section', name, inverted: sigil === '^', children: [] };
+                current.children.push(section);
+                stack.push(section);
+            } else if (sigil === '/') {
+                if (stack.length === 1 || current.name !== name) {
+                    throw new Error(`Unexpected {{/${name}}} in template`);
+                }
+                stack.pop();
+            } else {
+                current.children.push({ type: 'variable', name });
+            }
+        }
+
+        if (stack.length > 1) {
+            throw new Error(`Unclosed {{#${stack[stack.length - 1].name}}} in template`);
+        }
+
+        if (last < template.length) {
+            root.children.push({ type: 'text', value: template.slice(last) });
+        }
+
+        return root.children;
+    }
+
+    renderTokens(tokens, stack) {
+        return tokens.map(token => {
+            if (token.type === 'text') return token.value;
+
+            const value = this.lookup(token.name, stack);
+            if (token.type === 'variable') {
+                return value === undefined || value === null ? '' : String(value);
+            }
+
+            const isEmpty = !value || (Array.isArray(value) && value.length === 0);
+            if (token.inverted) {
+                return isEmpty ? this.renderTokens(token.children, stack) : '';
+            }
+            if (isEmpty) return '';
+
+            if (Array.isArray(value)) {
+                return value.map(item => this.renderTokens(token.children, [...stack, item])).join('');
+            }
+            return this.renderTokens(token.children, typeof value === 'object' ? [...stack, value] : stack);
+        }).join('');
+    }
+
+    lookup(name, stack) {
+        if (name === '.') return stack[stack.length - 1];
+
+        // The first segment resolves against the innermost context that has it, like Mustache
+        const [head, ...rest] = name.split('.');
+        const scope = [...stack].reverse().find(item => item !== null && typeof item === 'object' && head in item);
+        if (!scope) return undefined;
+
+        return rest.reduce((value, segment) => (value === undefined || value === null ? undefined : value[segment]), scope[head]);
+    }
+}
+
+export { TemplateEngine };
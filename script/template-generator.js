@@ -0,0 +1,145 @@
+// Template Generator - Renders user-defined class templates over DartGenerator's property model
+import { DartGenerator } from './dart-generator.js';
+import { TemplateEngine } from './template-engine.js';
+
+class TemplateGenerator extends DartGenerator {
+    constructor() {
+        super();
+        this.templateEngine = new TemplateEngine();
+        this.template = TemplateGenerator.createDefaultTemplate();
+    }
+
+    static createDefaultTemplate() {
+        // A plain Dart layout to start from; every section can be rewritten per team
+        return {
+            name: 'Plain Dart class',
+            imports: '',
+            classTemplate: [
+                'class {{className}} {',
+                '{{#fields}}',
+                '  final {{type}}{{nullSuffix}} {{name}};',
+                '{{/fields}}',
+                '',
+                '  const {{className}}({{#hasFields}}{',
+                '{{#fields}}',
+                '    {{^nullable}}required {{/nullable}}this.{{name}},',
+                '{{/fields}}',
+                '  }{{/hasFields}});',
+                '',
+                '  factory {{className}}.fromJson(Map<String, dynamic> json) => {{className}}(',
+                '{{#fields}}',
+                '        {{name}}: {{fromJson}},',
+                '{{/fields}}',
+                '      );',
+                '',
+                '  Map<String, dynamic> toJson() => {',
+                '{{#fields}}',
+                "        '{{jsonKey}}': {{toJson}},",
+                '{{/fields}}',
+                '      };',
+                '}'
+            ].join('\n'),
+            fromJson: {
+                default: "json['{{jsonKey}}'] as {{type}}{{nullSuffix}}",
+                dynamic: "json['{{jsonKey}}']",
+                double: "(json['{{jsonKey}}'] as num{{nullSuffix}}){{nullSuffix}}.toDouble()",
+                list: "(json['{{jsonKey}}'] as List<dynamic>{{nullSuffix}}){{nullSuffix}}.cast<{{itemType}}>()",
+                modelList: "(json['{{jsonKey}}'] as List<dynamic>{{nullSuffix}}){{nullSuffix}}.map((e) => {{itemType}}.fromJson(e as Map<String, dynamic>)).toList()",
+                model: "{{#nullable}}json['{{jsonKey}}'] == null ? null : {{/nullable}}{{type}}.fromJson(json['{{jsonKey}}'] as Map<String, dynamic>)",
+                enum: "{{type}}.fromJson(json['{{jsonKey}}'] as {{valueType}}?)",
+                special: "{{#nullable}}json['{{jsonKey}}'] == null ? null : {{/nullable}}{{parse}}"
+            },
+            toJson: {
+                default: '{{name}}',
+                model: '{{name}}{{nullSuffix}}.toJson()',
+                enum: '{{name}}{{nullSuffix}}.toJson()',
+                modelList: '{{name}}{{nullSuffix}}.map((e) => e.toJson()).toList()',
+                special: '{{name}}{{nullSuffix}}{{serialize}}'
+            }
+        };
+    }
+
+    setOptions(options) {
+        // The template decides the class layout, so enums are emitted without json_serializable annotations
+        super.setOptions({ ...options, useSerializable: false, useEquatable: false });
+    }
+
+    setTemplate(template) {
+        this.template = template || TemplateGenerator.createDefaultTemplate();
+    }
+
+    generateImports(localImports = []) {
+        const imports = this.templateEngine.render(this.template.imports || '', { fileName: this.fileName })
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+
+        return this.joinImportGroups([...imports, ...this.options.extraImports], localImports);
+    }
+
+    buildClassCode(className, objectNode) {
+        const properties = this.extractProperties(objectNode, className);
+        const fields = properties.map((prop, index) => this.buildFieldContext(prop, index, properties.length));
+
+        return this.templateEngine.render(this.template.classTemplate, {
+            className,
+            fileName: this.toFileName(className),
+            fields,
+            hasFields: fields.length > 0
+        }).replace(/\s+$/, '');
+    }
+
+    buildFieldContext(prop, index, count) {
+        const kind = this.getTemplateKind(prop);
+        const context = {
+            key: prop.key,
+            jsonKey: prop.jsonKey,
+            name: prop.name,
+            type: prop.type,
+            kind,
+            nullable: this.isNullable(prop),
+            nullSuffix: this.nullableSuffix(prop),
+            defaultValue: prop.defaultValue !== undefined ? prop.defaultValue : this.getPolicyDefault(prop),
+            itemType: prop.type.startsWith('List<') ? this.getListItemType(prop.type) : '',
+            valueType: kind === 'enum' ? this.enumGenerator.getValueType(this.enumTypes.get(prop.type)) : '',
+            parse: prop.special ? prop.special.parse(`json['${prop.jsonKey}'] as ${prop.special.rawType}`) : '',
+            serialize: prop.special ? prop.special.serialize : '',
+            index,
+            first: index === 0,
+            last: index === count - 1
+        };
+
+        context.fromJson = this.renderExpression(this.template.fromJson, prop, kind, context);
+        context.toJson = this.renderExpression(this.template.toJson, prop, kind, context);
+        return context;
+    }
+
+    getTestModel(className) {
+        // Only fromJson and toJson can be assumed of a custom layout
+        return {
+            ...super.getTestModel(className),
+            hasToJson: /toJson/.test(this.template.classTemplate),
+            copyWith: false,
+            hasEquality: false
+        };
+    }
+
+    getTemplateKind(prop) {
+        if (prop.special) return 'special';
+        if (this.isEnumType(prop.type)) return 'enum';
+        if (this.isModelType(prop.type)) return 'model';
+        if (this.isModelListType(prop.type)) return 'modelList';
+        if (prop.type.startsWith('List<')) return 'list';
+        if (prop.type.startsWith('Map<')) return 'map';
+        return 'value';
+    }
+
+    renderExpression(expressions, prop, kind, context) {
+        // The exact Dart type wins over the kind, which wins over the default expression
+        const table = expressions || {};
+        const template = [prop.type, kind, 'default'].map(name => table[name]).find(value => typeof value === 'string');
+        return template === undefined ? '' : this.templateEngine.render(template, context);
+    }
+}
+
+export { TemplateGenerator };
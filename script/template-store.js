@@ -0,0 +1,94 @@
+// Template Store - Keeps custom code templates in localStorage and moves them in and out as .json files
+import { TemplateEngine } from './template-engine.js';
+
+class TemplateStore {
+    constructor(storageKey = 'dart-converter-templates', idPrefix = 'template') {
+        this.storageKey = storageKey;
+        this.idPrefix = idPrefix;
+        this.templateEngine = new TemplateEngine();
+        this.templates = this.load();
+    }
+
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved ? JSON.parse(saved) : [];
+        } catch {
+            return [];
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.templates));
+    }
+
+    list() {
+        return this.templates;
+    }
+
+    get(id) {
+        return this.templates.find(template => template.id === id) || null;
+    }
+
+    put(template) {
+        this.validate(template);
+
+        const saved = { ...template, id: template.id || `${this.idPrefix}-${Date.now()}-${this.templates.length}` };
+        const index = this.templates.findIndex(item => item.id === saved.id);
+        if (index === -1) {
+            this.templates.push(saved);
+        } else {
+            this.templates[index] = saved;
+        }
+
+        this.save();
+        return saved;
+    }
+
+    remove(id) {
+        this.templates = this.templates.filter(template => template.id !== id);
+        this.save();
+    }
+
+    validate(template) {
+        if (!template || typeof template !== 'object' || Array.isArray(template)) {
+            throw new Error('A template must be a JSON object');
+        }
+        if (typeof template.name !== 'string' || !template.name.trim()) {
+            throw new Error('A template needs a "name"');
+        }
+        if (typeof template.classTemplate !== 'string') {
+            throw new Error(`Template "${template.name}" needs a "classTemplate" string`);
+        }
+
+        // Parsing up front reports unbalanced sections before anything is generated
+        this.templateEngine.parse(template.classTemplate);
+        this.templateEngine.parse(template.imports || '');
+        ['fromJson', 'toJson'].forEach(table => {
+            if (template[table] === undefined) return;
+            if (!template[table] || typeof template[table] !== 'object') {
+                throw new Error(`"${table}" in template "${template.name}" must map types to expressions`);
+            }
+            Object.values(template[table]).forEach(expression => this.templateEngine.parse(String(expression)));
+        });
+    }
+
+    export(id) {
+        const template = this.get(id);
+        if (!template) return null;
+
+        const content = { ...template };
+        delete content.id;
+        return JSON.stringify(content, null, 2);
+    }
+
+    import(text) {
+        // A file holds one template or an array of them; imports never replace existing templates
+        const parsed = JSON.parse(text);
+        const templates = Array.isArray(parsed) ? parsed : [parsed];
+        templates.forEach(template => this.validate(template));
+        return templates.map(template => this.put({ ...template, id: undefined }));
+    }
+}
+
+export { TemplateStore };
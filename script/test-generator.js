@@ -0,0 +1,149 @@
+// Test Generator - Writes a package:test file that round-trips the converted JSON through the generated model
+import { DartEnumGenerator } from './enum-generator.js';
+
+class DartTestGenerator {
+    constructor() {
+        this.enumGenerator = new DartEnumGenerator();
+    }
+
+    generate(className, samples, model, importDir = '../lib') {
+        // model: { fileName, construct(json), hasToJson, copyWith, hasEquality, sampleKeysOnly, properties }
+        const tests = [];
+
+        if (model.hasToJson) {
+            // Models that add keys of their own (like an inherited id) are compared on the sample's keys
+            const output = model.sampleKeysOnly
+                ? '(normalize(model.toJson()) as Map)..removeWhere((key, _) => !json.containsKey(key))'
+                : 'normalize(model.toJson())';
+            tests.push([
+                '    for (var i = 0; i < samples.length; i++) {',
+                `      test('fromJson(sample \${i + 1}).toJson() round-trips', () {`,
+                '        final json = decode(samples[i]);',
+                `        final model = ${model.construct('json')};`,
+                `        expect(${output}, equals(normalize(json)));`,
+                '      });',
+                '    }'
+            ].join('\n'));
+        }
+
+        if (model.copyWith) {
+            tests.push(...this.generateCopyWithTests(className, samples[0], model));
+        }
+
+        if (model.hasEquality) {
+            tests.push([
+                "    test('equal JSON gives equal models', () {",
+                `      final first = ${model.construct('decode(samples.first)')};`,
+                `      final second = ${model.construct('decode(samples.first)')};`,
+                '      expect(first, equals(second));',
+                '      expect(first.hashCode, equals(second.hashCode));',
+                '    });'
+            ].join('\n'));
+        }
+
+        return [
+            `// Round-trip tests for ${className}, generated from the JSON it was converted from`,
+            "import 'dart:convert';",
+            '',
+            "import 'package:test/test.dart';",
+            '',
+            `import '${importDir}/${model.fileName}.dart';`,
+            '',
+            'const samples = <String>[',
+            samples.map(sample => `  ${this.toDartString(JSON.stringify(sample, null, 2))},`).join('\n'),
+            '];',
+            '',
+            "final isoDate = RegExp(r'^\\d{4}-\\d{2}-\\d{2}(T[\\d:.]+(Z|[+-]\\d{2}:?\\d{2})?)?$');",
+            '',
+            'Map<String, dynamic> decode(String sample) => jsonDecode(sample) as Map<String, dynamic>;',
+            '',
+            '// Drops nulls and brings dates into one format, so equal data compares equal after a round trip',
+            'Object? normalize(Object? value) {',
+            '  final json = jsonDecode(jsonEncode(value));',
+            '  if (json is Map) {',
+            '    return {',
+            '      for (final entry in json.entries)',
+            '        if (entry.value != null) entry.key: normalize(entry.value),',
+            '    };',
+            '  }',
+            '  if (json is List) return json.map(normalize).toList();',
+            '  if (json is String && isoDate.hasMatch(json)) return DateTime.parse(json).toUtc().toIso8601String();',
+            '  return json;',
+            '}',
+            '',
+            'void main() {',
+            `  group('${className}', () {`,
+            tests.length > 0 ? tests.join('\n\n') : '    // The selected options generate neither toJson, copyWith nor equality',
+            '  });',
+            '}',
+            ''
+        ].join('\n');
+    }
+
+    generateCopyWithTests(className, sample, model) {
+        const tests = [[
+            "    test('copyWith() without arguments keeps every field', () {",
+            `      final model = ${model.construct('decode(samples.first)')};`,
+            '      expect(normalize(model.copyWith().toJson()), equals(normalize(model.toJson())));',
+            '    });'
+        ].join('\n')];
+
+        // One plain field gets a new value; everything else must stay as it was
+        const changed = model.properties
+            .map(prop => ({ prop, value: this.getChangedValue(prop, sample) }))
+            .find(item => item.value !== null);
+        if (changed) {
+            const { prop, value } = changed;
+            tests.push([
+                `    test('copyWith(${prop.name}: ...) replaces only ${prop.name}', () {`,
+                `      final model = ${model.construct('decode(samples.first)')};`,
+                `      final copy = model.copyWith(${prop.name}: ${value});`,
+                `      expect(copy.${prop.name}, equals(${value}));`,
+                `      expect((normalize(copy.toJson()) as Map)..remove('${prop.jsonKey}'),`,
+                `          equals((normalize(model.toJson()) as Map)..remove('${prop.jsonKey}')));`,
+                '    });'
+            ].join('\n'));
+        }
+
+        const cleared = model.properties.find(prop => prop.nullable && prop.clearArgument);
+        if (cleared) {
+            tests.push([
+                `    test('copyWith can clear ${cleared.name}', () {`,
+                `      final model = ${model.construct('decode(samples.first)')};`,
+                `      expect(model.copyWith(${cleared.clearArgument}).${cleared.name}, isNull);`,
+                '    });'
+            ].join('\n'));
+        }
+
+        return model.hasToJson ? tests : tests.filter(test => !test.includes('toJson'));
+    }
+
+    getChangedValue(prop, sample) {
+        if (prop.special || !sample || !(prop.key in sample)) return null;
+
+        const value = sample[prop.key];
+        switch (prop.type) {
+            case 'String':
+                return this.enumGenerator.toLiteral(typeof value === 'string' ? `${value}_changed` : 'changed');
+            case 'int':
+                return String(Number.isInteger(value) ? value + 1 : 1);
+            case 'double':
+            case 'num': {
+                const next = typeof value === 'number' ? value + 1.5 : 1.5;
+                return Number.isInteger(next) ? `${next}.0` : String(next);
+            }
+            case 'bool':
+                return String(value !== true);
+            default:
+                return null;
+        }
+    }
+
+    toDartString(text) {
+        // Raw strings keep the JSON readable; only a literal ''' forces an escaped string
+        if (!text.includes("'''")) return `r'''\n${text}'''`;
+        return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\$/g, '\\$').replace(/\n/g, '\\n')}'`;
+    }
+}
+
+export { DartTestGenerator };
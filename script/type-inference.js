@@ -0,0 +1,184 @@
+// Type Inference - Merges every JSON sample into a single schema tree shared by all generators
+class TypeInference {
+    constructor() {
+        // Distinct string values are tracked up to this count so closed sets can become enums
+        this.maxTrackedValues = 20;
+    }
+
+    inferFromSamples(samples) {
+        return samples.reduce((node, sample) => this.merge(node, this.infer(sample)), null);
+    }
+
+    infer(value) {
+        if (value === null) {
+            return { kind: 'null', nullable: true };
+        }
+
+        switch (typeof value) {
+            case 'string': {
+                const node = { kind: 'string', nullable: false, values: [value], occurrences: 1 };
+                const format = this.detectStringFormat(value);
+                if (format) node.format = format;
+                return node;
+            }
+            case 'boolean':
+                return { kind: 'bool', nullable: false };
+            case 'number':
+                if (Number.isInteger(value)) {
+                    // Millisecond timestamps between 1973 and 5138
+                    return { kind: 'int', nullable: false, epochMillis: value >= 1e11 && value < 1e14 };
+                }
+                return { kind: 'double', nullable: false };
+            case 'object':
+                if (Array.isArray(value)) {
+                    return { kind: 'array', nullable: false, items: this.inferFromSamples(value) };
+                }
+                return {
+                    kind: 'object',
+                    nullable: false,
+                    sampleCount: 1,
+                    fields: Object.entries(value).map(([key, fieldValue]) => ({
+                        key,
+                        node: this.infer(fieldValue),
+                        count: 1
+                    }))
+                };
+            default:
+                return { kind: 'dynamic', nullable: true };
+        }
+    }
+
+    merge(a, b) {
+        if (!a) return b;
+        if (!b) return a;
+        if (a === b) return a;
+
+        // null widens the other side to a nullable type
+        if (a.kind === 'null') return { ...b, nullable: true };
+        if (b.kind === 'null') return { ...a, nullable: true };
+
+        const nullable = a.nullable || b.nullable;
+
+        if (a.kind === b.kind) {
+            switch (a.kind) {
+                case 'object':
+                    return this.mergeObjects(a, b, nullable);
+                case 'array':
+                    return { kind: 'array', nullable, items: this.merge(a.items, b.items) };
+                case 'string':
+                    return this.mergeStrings(a, b, nullable);
+                case 'int':
+                    return {
+                        ...a,
+                        nullable,
+                        epochMillis: Boolean(a.epochMillis && b.epochMillis),
+                        enumValues: this.mergeEnumValues(a, b)
+                    };
+                default:
+                    return { ...a, nullable, enumValues: this.mergeEnumValues(a, b) };
+            }
+        }
+
+        const numeric = ['int', 'double'];
+        if (numeric.includes(a.kind) && numeric.includes(b.kind)) {
+            return { kind: 'double', nullable };
+        }
+
+        return { kind: 'dynamic', nullable: true };
+    }
+
+    mergeObjects(a, b, nullable) {
+        const fields = a.fields.map(field => ({ ...field }));
+
+        b.fields.forEach(field => {
+            const existing = fields.find(item => item.key === field.key);
+            if (existing) {
+                existing.node = this.merge(existing.node, field.node);
+                existing.count += field.count;
+            } else {
+                fields.push({ ...field });
+            }
+        });
+
+        return {
+            kind: 'object',
+            nullable,
+            sampleCount: a.sampleCount + b.sampleCount,
+            fields
+        };
+    }
+
+    mergeStrings(a, b, nullable) {
+        let values = null;
+        if (a.values && b.values) {
+            values = [...new Set([...a.values, ...b.values])];
+            if (values.length > this.maxTrackedValues) {
+                values = null;
+            }
+        }
+
+        return {
+            ...a,
+            nullable,
+            // A format only holds if every sample matched it
+            format: this.mergeFormats(a.format, b.format),
+            enumValues: this.mergeEnumValues(a, b),
+            values,
+            occurrences: (a.occurrences || 0) + (b.occurrences || 0)
+        };
+    }
+
+    mergeEnumValues(a, b) {
+        // Schema enums stay closed only if both sides are; then every value of either side is valid,
+        // like the consts of a oneOf discriminator
+        if (!Array.isArray(a.enumValues) || !Array.isArray(b.enumValues)) return undefined;
+        return [...new Set([...a.enumValues, ...b.enumValues])];
+    }
+
+    mergeFormats(a, b) {
+        if (a === b) return a;
+        // Plain dates mixed with timestamps still parse as DateTime
+        const dates = ['date', 'date-time'];
+        return dates.includes(a) && dates.includes(b) ? 'date-time' : undefined;
+    }
+
+    getEnumValues(node, maxValues = 10, minOccurrences = 4) {
+        if (!node) return null;
+
+        // Schemas declare their enums explicitly
+        if (Array.isArray(node.enumValues) && node.enumValues.length > 0) {
+            return node.enumValues;
+        }
+
+        if (node.kind !== 'string' || !node.values || node.format) return null;
+
+        // Samples only suggest a closed set when there are enough of them and values repeat on average
+        // at least twice; a single shared value, like two users with the same first name, is not enough
+        const values = node.values;
+        if (values.length < 2 || values.length > maxValues) {
+            return null;
+        }
+        if (node.occurrences < minOccurrences || node.occurrences < 2 * values.length) {
+            return null;
+        }
+        if (values.some(value => value.length === 0 || value.length > 40 || /[\r\n]/.test(value))) {
+            return null;
+        }
+
+        return values;
+    }
+
+    detectStringFormat(value) {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return 'date';
+        if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(value)) return 'date-time';
+        if (/^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(value)) return 'uri';
+        return null;
+    }
+
+    isOptional(field, objectNode) {
+        // A key missing from some samples is optional even if its values are never null
+        return field.count < objectNode.sampleCount;
+    }
+}
+
+export { TypeInference };
\ No newline at end of file
@@ -0,0 +1,81 @@
+// Zip Writer - Packs generated files into an uncompressed .zip archive
+class ZipWriter {
+    constructor() {
+        this.files = [];
+    }
+
+    addFile(name, content) {
+        const data = new TextEncoder().encode(content);
+        this.files.push({ name: new TextEncoder().encode(name), data, crc: ZipWriter.crc32(data) });
+    }
+
+    generate() {
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        this.files.forEach(file => {
+            // Entries are stored without compression, which every unzip tool accepts
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint32(14, file.crc, true);
+            local.setUint32(18, file.data.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, file.name.length, true);
+            localParts.push(new Uint8Array(local.buffer), file.name, file.data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint32(16, file.crc, true);
+            central.setUint32(20, file.data.length, true);
+            central.setUint32(24, file.data.length, true);
+            central.setUint16(28, file.name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), file.name);
+
+            offset += 30 + file.name.length + file.data.length;
+        });
+
+        const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.files.length, true);
+        end.setUint16(10, this.files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            result.set(part, position);
+            position += part.length;
+        });
+        return result;
+    }
+
+    static crc32(data) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = Array.from({ length: 256 }, (_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                return c >>> 0;
+            });
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = ZipWriter.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+export { ZipWriter };
\ No newline at end of file